@@ -0,0 +1,172 @@
+/*
+ * Sender/recipient allow and deny lists enforced by the RPC runtime itself.
+ *
+ * Why this exists:
+ * - The gateway's own `allowFrom` may be wide open (setup.sh writes ["*"] for the "open" dm policy);
+ *   this is a second line of defence so a misconfigured gateway can't expose the Apple ID to strangers.
+ *
+ * File format (JSON, hot-reloaded when it changes):
+ *   { "allow": ["+15551234567", "@example.com", "iMessage;+;chat123456789"], "deny": ["spam@example.com"] }
+ *
+ * Entries:
+ * - "*"                      everything (only meaningful in "allow")
+ * - "@example.com"           any email handle at that domain ("*@example.com" works too)
+ * - "alice@example.com"      one email handle (case-insensitive)
+ * - "+15551234567"           a phone number, in any format handles.mjs can normalize
+ * - "iMessage;+;chat123..."  a chat GUID; "chat123..." a chat identifier
+ *
+ * Rules: a deny match always blocks. A missing file, or an empty/absent "allow" list, allows everyone
+ * not denied. Otherwise the handle or the chat must match an allow entry.
+ *
+ * Failing closed: entries that aren't one of the above are logged and skipped, and an "allow" list with
+ * entries but none valid blocks everyone rather than becoming empty. A file that can't be read or
+ * parsed at startup, or whose "allow"/"deny" isn't an array, blocks everyone until a valid one is
+ * written; later on the last lists that loaded stay in effect instead.
+ */
+
+import fs from "node:fs/promises";
+
+import { looksLikeHandle, normalizeHandle } from "./handles.mjs";
+
+// Don't stat the file more often than this.
+const RELOAD_CHECK_MS = 1000;
+
+function parseEntry(entry, normalize) {
+  const raw = String(entry ?? "").trim();
+  if (!raw) return null;
+  if (raw === "*") return { kind: "any", raw };
+  const domain = raw.match(/^\*?@([^@\s]+)$/);
+  if (domain) return { kind: "domain", value: domain[1].toLowerCase(), raw };
+  if (raw.includes(";")) return { kind: "chat_guid", value: raw, raw };
+  if (/^chat\d+$/i.test(raw)) return { kind: "chat_identifier", value: raw.toLowerCase(), raw };
+  return looksLikeHandle(raw) ? { kind: "handle", value: normalize(raw), raw } : null;
+}
+
+// Parses the "allow"/"deny" value of the file; throws when it isn't an array, logs invalid entries.
+function parseList(name, value, normalize, log) {
+  if (value == null) return [];
+  if (!Array.isArray(value)) throw new Error(`"${name}" must be an array of entries`);
+  const entries = [];
+  for (const raw of value) {
+    const entry = parseEntry(raw, normalize);
+    if (entry) entries.push(entry);
+    else log(`[access] ignoring ${name} entry ${JSON.stringify(raw)}: not a handle, @domain, chat GUID or chat id`);
+  }
+  return entries;
+}
+
+// Returns the first entry matching the subject ({ handle, chatGuid, chatIdentifier }), or null.
+// The handle must already be normalized.
+function findMatch(entries, { handle, chatGuid, chatIdentifier }) {
+  const email = handle?.includes("@") ? handle : "";
+  for (const entry of entries) {
+    switch (entry.kind) {
+      case "any":
+        return entry;
+      case "domain":
+        if (email && email.slice(email.lastIndexOf("@") + 1) === entry.value) return entry;
+        break;
+      case "handle":
+        if (handle && handle === entry.value) return entry;
+        break;
+      case "chat_guid":
+        if (chatGuid && chatGuid === entry.value) return entry;
+        break;
+      case "chat_identifier":
+        if (chatIdentifier && String(chatIdentifier).toLowerCase() === entry.value) return entry;
+        break;
+    }
+  }
+  return null;
+}
+
+/**
+ * Access list backed by a JSON file. Call refresh() before a batch of checks (it re-reads the file
+ * when its mtime/size changed, at most once a second); check() is synchronous.
+ */
+export function createAccessList({ filePath, defaultCountry, log = () => {} }) {
+  const normalize = (value) => normalizeHandle(value, { defaultCountry });
+  let allow = [];
+  let deny = [];
+  // Set while everyone is blocked; the rule check() reports.
+  let closedRule = null;
+  let signature = null;
+  let lastCheck = 0;
+
+  function failClosed(rule, reason) {
+    log(`[access] ${reason}; blocking everyone until ${filePath} is fixed`);
+    allow = [];
+    deny = [];
+    closedRule = rule;
+  }
+
+  async function reload() {
+    let st;
+    try {
+      st = await fs.stat(filePath);
+    } catch (err) {
+      if (err?.code !== "ENOENT") throw err;
+      if (signature !== "missing") {
+        if (signature !== null) log(`[access] ${filePath} removed; allowing all senders`);
+        allow = [];
+        deny = [];
+        closedRule = null;
+        signature = "missing";
+      }
+      return;
+    }
+    const next = `${st.mtimeMs}:${st.size}`;
+    if (next === signature) return;
+    const initial = signature === null;
+    signature = next;
+    let parsed;
+    let nextAllow;
+    let nextDeny;
+    try {
+      parsed = JSON.parse(await fs.readFile(filePath, "utf8"));
+      if (!parsed || typeof parsed !== "object" || Array.isArray(parsed)) throw new Error("expected a JSON object");
+      nextAllow = parseList("allow", parsed.allow, normalize, log);
+      nextDeny = parseList("deny", parsed.deny, normalize, log);
+    } catch (err) {
+      // Keep the previous lists rather than failing open on a half-written or invalid file.
+      if (initial) failClosed("invalid access list", `invalid ${filePath}: ${String(err)}`);
+      else log(`[access] ignoring invalid ${filePath}: ${String(err)}; keeping the current lists`);
+      return;
+    }
+    if (parsed.allow?.length && !nextAllow.length) {
+      failClosed("no valid allow entries", `no valid entries in the allow list of ${filePath}`);
+      return;
+    }
+    allow = nextAllow;
+    deny = nextDeny;
+    closedRule = null;
+    log(`[access] loaded ${filePath} (allow=${allow.length} deny=${deny.length})`);
+  }
+
+  return {
+    async refresh({ force = false } = {}) {
+      const now = Date.now();
+      if (!force && now - lastCheck < RELOAD_CHECK_MS) return;
+      lastCheck = now;
+      const initial = signature === null;
+      try {
+        await reload();
+      } catch (err) {
+        // Same as an invalid file: keep enforcing the last lists that loaded, or none at startup.
+        if (initial) failClosed("invalid access list", `can't read ${filePath}: ${String(err)}`);
+        else log(`[access] refresh failed; keeping the current lists: ${String(err)}`);
+      }
+    },
+
+    // subject: { handle, chatGuid, chatIdentifier }. Returns { allowed, rule? }.
+    check({ handle, chatGuid, chatIdentifier }) {
+      if (closedRule) return { allowed: false, rule: closedRule };
+      const subject = { handle: handle ? normalize(handle) : "", chatGuid, chatIdentifier };
+      const denied = findMatch(deny, subject);
+      if (denied) return { allowed: false, rule: `deny ${denied.raw}` };
+      if (!allow.length) return { allowed: true };
+      const allowed = findMatch(allow, subject);
+      return allowed ? { allowed: true, rule: `allow ${allowed.raw}` } : { allowed: false, rule: "not in allow list" };
+    },
+  };
+}
@@ -0,0 +1,404 @@
+/*
+ * Decoder for `message.attributedBody` blobs in chat.db.
+ *
+ * Why this exists:
+ * - On recent macOS releases `message.text` is frequently NULL and the real content only lives in
+ *   `attributedBody`, an NSAttributedString archived with the legacy NeXT "typedstream" format.
+ * - We decode it in JavaScript (no Foundation bridge available from Node) and surface the plain text
+ *   plus the attribute runs we care about (mentions, links).
+ *
+ * Format notes (little-endian "streamtyped" variant, as written by imagent):
+ * - Header: streamer version, signature string, system version.
+ * - Body: a sequence of groups; each group starts with a shared type-encoding string ("@", "iI", "+", ...)
+ *   followed by one value per type character.
+ * - Objects are a class chain followed by groups until END_OF_OBJECT.
+ * - Strings (type encodings, class names) share one reference table; objects, classes and C strings share
+ *   another. The object slot is reserved before its class chain is read.
+ * - A C string ("*", e.g. the type NSNumber archives before its value) is TAG_NEW plus a shared string, or a
+ *   reference into the object table. Chars ("c", "C") are always one raw byte.
+ */
+
+const TAG_INTEGER_2 = 0x81;
+const TAG_INTEGER_4 = 0x82;
+const TAG_FLOATING_POINT = 0x83;
+const TAG_NEW = 0x84;
+const TAG_NIL = 0x85;
+const TAG_END_OF_OBJECT = 0x86;
+// References are encoded as signed integers offset from this value (0x92 as int8).
+const FIRST_REFERENCE = -110;
+
+const MENTION_ATTRIBUTE = "__kIMMentionConfirmedMention";
+const LINK_ATTRIBUTE = "__kIMLinkAttributeName";
+const MESSAGE_PART_ATTRIBUTE = "__kIMMessagePartAttributeName";
+
+class TypedStreamReader {
+  constructor(buf) {
+    this.buf = buf;
+    this.pos = 0;
+    this.littleEndian = true;
+    this.sharedStrings = [];
+    this.sharedObjects = [];
+  }
+
+  eof() {
+    return this.pos >= this.buf.length;
+  }
+
+  peekByte() {
+    if (this.pos >= this.buf.length) throw new Error("typedstream: unexpected end of data");
+    return this.buf[this.pos];
+  }
+
+  readByte() {
+    const b = this.peekByte();
+    this.pos++;
+    return b;
+  }
+
+  readBytes(length) {
+    if (length < 0 || this.pos + length > this.buf.length) throw new Error("typedstream: length out of range");
+    const out = this.buf.subarray(this.pos, this.pos + length);
+    this.pos += length;
+    return out;
+  }
+
+  readIntegerWithHead(head, signed) {
+    if (head === TAG_INTEGER_2) {
+      const bytes = this.readBytes(2);
+      if (signed) return this.littleEndian ? bytes.readInt16LE(0) : bytes.readInt16BE(0);
+      return this.littleEndian ? bytes.readUInt16LE(0) : bytes.readUInt16BE(0);
+    }
+    if (head === TAG_INTEGER_4) {
+      const bytes = this.readBytes(4);
+      if (signed) return this.littleEndian ? bytes.readInt32LE(0) : bytes.readInt32BE(0);
+      return this.littleEndian ? bytes.readUInt32LE(0) : bytes.readUInt32BE(0);
+    }
+    if (head >= TAG_INTEGER_2 && head <= TAG_END_OF_OBJECT) {
+      throw new Error(`typedstream: unexpected tag 0x${head.toString(16)} where an integer was expected`);
+    }
+    return signed ? (head << 24) >> 24 : head;
+  }
+
+  readInteger(signed = true) {
+    return this.readIntegerWithHead(this.readByte(), signed);
+  }
+
+  readReferenceIndex(head) {
+    return this.readIntegerWithHead(head, true) - FIRST_REFERENCE;
+  }
+
+  readUnsharedBytes() {
+    const length = this.readInteger(true);
+    return this.readBytes(length);
+  }
+
+  readSharedString() {
+    const head = this.readByte();
+    if (head === TAG_NIL) return null;
+    if (head === TAG_NEW) {
+      const str = this.readUnsharedBytes().toString("utf8");
+      this.sharedStrings.push(str);
+      return str;
+    }
+    const index = this.readReferenceIndex(head);
+    if (index < 0 || index >= this.sharedStrings.length) {
+      throw new Error(`typedstream: invalid shared string reference ${index}`);
+    }
+    return this.sharedStrings[index];
+  }
+
+  readHeader() {
+    const version = this.readInteger(true);
+    const signature = this.readUnsharedBytes().toString("ascii");
+    if (signature === "typedstream") this.littleEndian = false;
+    else if (signature !== "streamtyped") throw new Error(`typedstream: unknown signature ${JSON.stringify(signature)}`);
+    const systemVersion = this.readInteger(true);
+    return { version, systemVersion };
+  }
+
+  readClass() {
+    const head = this.readByte();
+    if (head === TAG_NIL) return null;
+    if (head === TAG_NEW) {
+      const name = this.readSharedString();
+      const version = this.readInteger(true);
+      const cls = { name, version, superclass: null };
+      this.sharedObjects.push(cls);
+      cls.superclass = this.readClass();
+      return cls;
+    }
+    const index = this.readReferenceIndex(head);
+    const cls = this.sharedObjects[index];
+    if (!cls || cls.kind) throw new Error(`typedstream: invalid class reference ${index}`);
+    return cls;
+  }
+
+  readCString() {
+    const head = this.readByte();
+    if (head === TAG_NIL) return null;
+    if (head === TAG_NEW) {
+      const str = this.readSharedString();
+      this.sharedObjects.push({ kind: "cstring", value: str });
+      return str;
+    }
+    const index = this.readReferenceIndex(head);
+    const ref = this.sharedObjects[index];
+    if (ref?.kind !== "cstring") throw new Error(`typedstream: invalid C string reference ${index}`);
+    return ref.value;
+  }
+
+  readObject() {
+    const head = this.readByte();
+    if (head === TAG_NIL) return null;
+    if (head === TAG_NEW) {
+      const obj = { kind: "object", className: null, contents: [] };
+      // The object slot is reserved before its class chain so back-references line up with the encoder.
+      this.sharedObjects.push(obj);
+      const cls = this.readClass();
+      obj.className = cls?.name ?? null;
+      while (this.peekByte() !== TAG_END_OF_OBJECT) {
+        obj.contents.push(this.readGroup());
+      }
+      this.pos++;
+      return obj;
+    }
+    const index = this.readReferenceIndex(head);
+    const obj = this.sharedObjects[index];
+    if (!obj) throw new Error(`typedstream: invalid object reference ${index}`);
+    return obj;
+  }
+
+  readFloat(size) {
+    const head = this.readByte();
+    if (head !== TAG_FLOATING_POINT) return this.readIntegerWithHead(head, true);
+    const bytes = this.readBytes(size);
+    if (size === 4) return this.littleEndian ? bytes.readFloatLE(0) : bytes.readFloatBE(0);
+    return this.littleEndian ? bytes.readDoubleLE(0) : bytes.readDoubleBE(0);
+  }
+
+  readValue(type) {
+    switch (type.kind) {
+      case "@":
+        return this.readObject();
+      case "#":
+        return this.readClass();
+      case "*":
+        return this.readCString();
+      case ":":
+      case "%":
+        return this.readSharedString();
+      case "+":
+        return this.readUnsharedBytes();
+      case "c":
+        return (this.readByte() << 24) >> 24;
+      case "C":
+        return this.readByte();
+      case "s":
+      case "i":
+      case "l":
+      case "q":
+        return this.readInteger(true);
+      case "S":
+      case "I":
+      case "L":
+      case "Q":
+        return this.readInteger(false);
+      case "f":
+        return this.readFloat(4);
+      case "d":
+        return this.readFloat(8);
+      case "array":
+        // Byte arrays are stored raw; everything else is element-by-element.
+        if (type.element.kind === "c" || type.element.kind === "C") return this.readBytes(type.length);
+        return Array.from({ length: type.length }, () => this.readValue(type.element));
+      case "struct":
+        return type.fields.map((field) => this.readValue(field));
+      default:
+        throw new Error(`typedstream: unsupported type encoding ${JSON.stringify(type.kind)}`);
+    }
+  }
+
+  readGroup() {
+    const encoding = this.readSharedString();
+    if (encoding == null) throw new Error("typedstream: missing type encoding");
+    const types = parseTypeEncoding(encoding);
+    return types.map((type) => this.readValue(type));
+  }
+}
+
+function parseTypeEncoding(encoding) {
+  let i = 0;
+
+  function parseOne() {
+    const ch = encoding[i++];
+    if (ch === "[") {
+      let digits = "";
+      while (/[0-9]/.test(encoding[i] ?? "")) digits += encoding[i++];
+      const element = parseOne();
+      if (encoding[i] === "]") i++;
+      return { kind: "array", length: Number.parseInt(digits || "0", 10), element };
+    }
+    if (ch === "{") {
+      while (i < encoding.length && encoding[i] !== "=" && encoding[i] !== "}") i++;
+      if (encoding[i] === "=") i++;
+      const fields = [];
+      while (i < encoding.length && encoding[i] !== "}") fields.push(parseOne());
+      i++;
+      return { kind: "struct", fields };
+    }
+    return { kind: ch };
+  }
+
+  const out = [];
+  while (i < encoding.length) out.push(parseOne());
+  return out;
+}
+
+function objectToPlainValue(value, depth = 0) {
+  if (value == null || depth > 8) return null;
+  if (Buffer.isBuffer(value)) return value;
+  if (typeof value !== "object" || value.kind !== "object") return value;
+
+  const className = value.className ?? "";
+  const flat = value.contents.flat();
+
+  if (className === "NSString" || className === "NSMutableString") {
+    const bytes = flat.find((v) => Buffer.isBuffer(v));
+    return bytes ? bytes.toString("utf8") : "";
+  }
+  if (className === "NSNumber" || className === "NSValue") {
+    const num = flat.find((v) => typeof v === "number");
+    return num ?? null;
+  }
+  if (className === "NSURL") {
+    // NSURL archives an "is relative" flag, an optional base URL and the relative string.
+    for (const v of flat) {
+      const plain = objectToPlainValue(v, depth + 1);
+      if (typeof plain === "string" && plain) return plain;
+    }
+    return null;
+  }
+  if (className === "NSDictionary" || className === "NSMutableDictionary") {
+    const count = typeof flat[0] === "number" ? flat[0] : 0;
+    const entries = {};
+    for (let k = 0; k < count; k++) {
+      const key = objectToPlainValue(flat[1 + k * 2], depth + 1);
+      const val = objectToPlainValue(flat[2 + k * 2], depth + 1);
+      if (typeof key === "string") entries[key] = val;
+    }
+    return entries;
+  }
+  if (className === "NSArray" || className === "NSMutableArray") {
+    return flat.slice(1).map((v) => objectToPlainValue(v, depth + 1));
+  }
+  return { class: className };
+}
+
+function decodeTypedStream(buf) {
+  const reader = new TypedStreamReader(buf);
+  reader.readHeader();
+  const root = reader.readGroup()[0];
+  if (!root || root.kind !== "object") return null;
+
+  const groups = root.contents;
+  const text = objectToPlainValue(groups[0]?.[0]);
+  if (typeof text !== "string") return null;
+
+  // Attribute runs are "iI" groups (dictionary index, UTF-16 length). A dictionary group follows
+  // the first run that uses a new index.
+  const dictionaries = [];
+  const runs = [];
+  for (const group of groups.slice(1)) {
+    if (group.length === 2 && typeof group[0] === "number" && typeof group[1] === "number") {
+      runs.push({ index: group[0], length: group[1] });
+    } else if (group.length === 1 && group[0]?.kind === "object") {
+      dictionaries.push(objectToPlainValue(group[0]) ?? {});
+    }
+  }
+
+  let location = 0;
+  const attributes = [];
+  for (const run of runs) {
+    const attrs = dictionaries[run.index - 1];
+    if (attrs && typeof attrs === "object" && !Buffer.isBuffer(attrs)) {
+      attributes.push({ location, length: run.length, attributes: attrs });
+    }
+    location += run.length;
+  }
+
+  return { text, attributes };
+}
+
+// Last-resort extraction for blobs the structured decoder can't handle: find the first NSString
+// payload ("+" type marker followed by a length-prefixed UTF-8 string).
+function scanForText(buf) {
+  const marker = buf.indexOf("NSString");
+  if (marker < 0) return null;
+  const plus = buf.indexOf(0x2b, marker + "NSString".length);
+  if (plus < 0 || plus + 1 >= buf.length) return null;
+  let pos = plus + 1;
+  let length = buf[pos++];
+  if (length === TAG_INTEGER_2) {
+    if (pos + 2 > buf.length) return null;
+    length = buf.readUInt16LE(pos);
+    pos += 2;
+  } else if (length === TAG_INTEGER_4) {
+    if (pos + 4 > buf.length) return null;
+    length = buf.readUInt32LE(pos);
+    pos += 4;
+  }
+  if (pos + length > buf.length) return null;
+  return buf.subarray(pos, pos + length).toString("utf8");
+}
+
+function toBuffer(input) {
+  if (!input) return null;
+  if (Buffer.isBuffer(input)) return input;
+  if (input instanceof Uint8Array) return Buffer.from(input);
+  const hex = String(input).trim();
+  if (!hex || hex.length % 2 !== 0 || !/^[0-9a-fA-F]+$/.test(hex)) return null;
+  return Buffer.from(hex, "hex");
+}
+
+/**
+ * Decode an attributedBody blob (Buffer, Uint8Array or hex string as produced by sqlite `hex()`).
+ * Returns `{ text, mentions, links, parts }` or null when nothing readable was found.
+ */
+export function decodeAttributedBody(input) {
+  const buf = toBuffer(input);
+  if (!buf || buf.length === 0) return null;
+
+  let decoded = null;
+  try {
+    decoded = decodeTypedStream(buf);
+  } catch {
+    decoded = null;
+  }
+
+  if (!decoded) {
+    const text = scanForText(buf);
+    return text == null ? null : { text, mentions: [], links: [], parts: [] };
+  }
+
+  const { text, attributes } = decoded;
+  const mentions = [];
+  const links = [];
+  const parts = [];
+  for (const run of attributes) {
+    const slice = text.slice(run.location, run.location + run.length);
+    const mention = run.attributes[MENTION_ATTRIBUTE];
+    if (typeof mention === "string" && mention) {
+      mentions.push({ handle: mention, text: slice, location: run.location, length: run.length });
+    }
+    const link = run.attributes[LINK_ATTRIBUTE];
+    if (typeof link === "string" && link) {
+      links.push({ url: link, text: slice, location: run.location, length: run.length });
+    }
+    const part = run.attributes[MESSAGE_PART_ATTRIBUTE];
+    if (typeof part === "number") {
+      parts.push({ part, location: run.location, length: run.length });
+    }
+  }
+
+  return { text, mentions, links, parts };
+}
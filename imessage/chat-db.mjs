@@ -0,0 +1,531 @@
+/*
+ * chat.db access layer shared by the stdio runtime (native-applescript.mjs) and the in-process client
+ * (client-native.mjs).
+ *
+ * Backends:
+ * - "node": in-process, read-only `node:sqlite` connection (Node 22.5+). No fork per query, no output
+ *   size limit, parameters are bound natively.
+ * - "cli": fallback through the `sqlite3` CLI in `-json` mode. Parameters are inlined as SQL literals.
+ *   `-json` needs SQLite 3.33, which macOS bundles from 11 (Big Sur) on; on 10.14/10.15 use Node 22.5+.
+ *
+ * Queries use `$name` placeholders with a plain `{ name: value }` params object on both backends.
+ * Rows are plain objects keyed by column alias. Integers that fit in a JS number are numbers; larger
+ * ones (e.g. `message.date` in Apple epoch ns) are BigInts. Blobs should be selected with `hex(...)`.
+ *
+ * Works against any SQLite file passed via `--db`, which keeps it testable with fixture databases.
+ */
+
+import { execFile as execFileCb } from "node:child_process";
+import { promisify } from "node:util";
+
+import { decodeAttributedBody } from "./attributed-body.mjs";
+
+const execFile = promisify(execFileCb);
+
+const APPLE_EPOCH_OFFSET_MS = 978307200000n; // 2001-01-01 - 1970-01-01
+const NS_PER_MS = 1_000_000n;
+
+export function unixMsToAppleNs(unixMs) {
+  return (unixMs - APPLE_EPOCH_OFFSET_MS) * NS_PER_MS;
+}
+
+export function appleNsToUnixMs(appleNs) {
+  return appleNs / NS_PER_MS + APPLE_EPOCH_OFFSET_MS;
+}
+
+export function appleNsToIso(value) {
+  if (value == null || value === "") return undefined;
+  try {
+    const ns = BigInt(value);
+    if (ns <= 0n) return undefined;
+    return new Date(Number(appleNsToUnixMs(ns))).toISOString();
+  } catch {
+    return undefined;
+  }
+}
+
+/**
+ * Parse a user-supplied time (unix ms number/string or ISO-8601 string) into Apple epoch ns.
+ * Returns null when the value is missing or unparseable.
+ */
+export function parseTimeParam(value) {
+  if (value == null || value === "") return null;
+  let unixMs;
+  if (typeof value === "number") unixMs = value;
+  else if (/^\d+$/.test(String(value).trim())) unixMs = Number.parseInt(String(value).trim(), 10);
+  else unixMs = Date.parse(String(value));
+  if (!Number.isFinite(unixMs)) return null;
+  return unixMsToAppleNs(BigInt(Math.trunc(unixMs)));
+}
+
+/** LIKE pattern for a substring match; pair with `ESCAPE '\\'`. */
+export function likeContains(value) {
+  return `%${String(value ?? "").replace(/[\\%_]/g, (ch) => `\\${ch}`)}%`;
+}
+
+export function toInteger(value, fallback = 0) {
+  const n = Number.parseInt(String(value ?? ""), 10);
+  return Number.isFinite(n) ? n : fallback;
+}
+
+function normalizeCell(value) {
+  if (typeof value === "bigint") {
+    return value >= BigInt(Number.MIN_SAFE_INTEGER) && value <= BigInt(Number.MAX_SAFE_INTEGER) ? Number(value) : value;
+  }
+  return value;
+}
+
+function normalizeRow(row) {
+  const out = {};
+  for (const [key, value] of Object.entries(row)) out[key] = normalizeCell(value);
+  return out;
+}
+
+function sqlLiteral(value) {
+  if (value == null) return "NULL";
+  if (typeof value === "bigint") return value.toString();
+  if (typeof value === "number") {
+    if (!Number.isFinite(value)) throw new Error(`Cannot bind non-finite number: ${value}`);
+    return String(value);
+  }
+  if (typeof value === "boolean") return value ? "1" : "0";
+  if (Buffer.isBuffer(value)) return `X'${value.toString("hex")}'`;
+  return `'${String(value).replace(/'/g, "''")}'`;
+}
+
+function inlineParams(sql, params) {
+  return sql.replace(/\$([A-Za-z_][A-Za-z0-9_]*)/g, (match, name) => {
+    if (!Object.prototype.hasOwnProperty.call(params, name)) throw new Error(`Missing SQL parameter: ${name}`);
+    return sqlLiteral(params[name]);
+  });
+}
+
+// sqlite3 -json prints integers bare; quote long ones (outside string literals) so JSON.parse keeps
+// every digit, and tag them so they can be turned back into BigInts.
+const BIGINT_TAG = "\u0000bigint:";
+
+function protectBigIntegers(json) {
+  let out = "";
+  let inString = false;
+  for (let i = 0; i < json.length; i++) {
+    const ch = json[i];
+    if (inString) {
+      out += ch;
+      if (ch === "\\") out += json[++i] ?? "";
+      else if (ch === '"') inString = false;
+      continue;
+    }
+    if (ch === '"') {
+      inString = true;
+      out += ch;
+      continue;
+    }
+    if (ch === "-" || (ch >= "0" && ch <= "9")) {
+      let j = i + 1;
+      while (j < json.length && /[0-9.eE+-]/.test(json[j])) j++;
+      const token = json.slice(i, j);
+      out += /^-?\d{16,}$/.test(token) ? JSON.stringify(`${BIGINT_TAG}${token}`) : token;
+      i = j - 1;
+      continue;
+    }
+    out += ch;
+  }
+  return out;
+}
+
+function reviveBigIntegers(row) {
+  const out = {};
+  for (const [key, value] of Object.entries(row)) {
+    out[key] =
+      typeof value === "string" && value.startsWith(BIGINT_TAG)
+        ? normalizeCell(BigInt(value.slice(BIGINT_TAG.length)))
+        : value;
+  }
+  return out;
+}
+
+async function loadNodeSqlite() {
+  try {
+    const mod = await import("node:sqlite");
+    return mod?.DatabaseSync ? mod : null;
+  } catch {
+    return null;
+  }
+}
+
+// How long a node:sqlite query waits out a lock Messages holds (e.g. a WAL checkpoint) before SQLITE_BUSY.
+// The wait blocks the event loop, so it stays short.
+const NODE_BUSY_TIMEOUT_MS = 1_000;
+
+function createNodeBackend(DatabaseSync, dbPath, { writable }) {
+  let db = null;
+  const statements = new Map();
+
+  function ensureOpen() {
+    if (!db) {
+      db = new DatabaseSync(dbPath, { readOnly: !writable });
+      db.exec(`PRAGMA busy_timeout = ${NODE_BUSY_TIMEOUT_MS}`);
+    }
+    return db;
+  }
+
+  function prepare(sql) {
+    let stmt = statements.get(sql);
+    if (!stmt) {
+      stmt = ensureOpen().prepare(sql);
+      // message.date (Apple epoch ns) does not fit in a double.
+      stmt.setReadBigInts(true);
+      // Keep the cache bounded; queries are built from a small set of templates.
+      if (statements.size >= 100) statements.clear();
+      statements.set(sql, stmt);
+    }
+    return stmt;
+  }
+
+  return {
+    name: "node",
+    async all(sql, params = {}) {
+      try {
+        return prepare(sql).all(params).map(normalizeRow);
+      } catch (err) {
+        // Drop the connection so the next call re-opens (e.g. after Full Disk Access is granted).
+        this.close();
+        throw err;
+      }
+    },
+    close() {
+      statements.clear();
+      try {
+        db?.close();
+      } catch {
+        // ignore
+      }
+      db = null;
+    },
+  };
+}
+
+function runSqlite3(args, opts) {
+  return execFile("/usr/bin/sqlite3", args, opts);
+}
+
+const CLI_NO_JSON_MESSAGE =
+  "The sqlite3 CLI has no -json mode (it needs SQLite 3.33+, bundled with macOS 11 and later). " +
+  "Run the runtime with Node.js 22.5+ so chat.db is read through node:sqlite.";
+
+// Older sqlite3 builds answer `-json` with "Error: unknown option: json".
+function isMissingJsonMode(err) {
+  return /unknown option:?\s*-*json\b/i.test(`${err?.stderr ?? ""}\n${err?.message ?? ""}`);
+}
+
+async function runCli(sqlite3, args, opts) {
+  try {
+    return await sqlite3(args, opts);
+  } catch (err) {
+    if (isMissingJsonMode(err)) throw new Error(CLI_NO_JSON_MESSAGE);
+    throw err;
+  }
+}
+
+function createCliBackend(dbPath, { writable, sqlite3 = runSqlite3 }) {
+  return {
+    name: "cli",
+    async all(sql, params = {}, { timeout = 5_000 } = {}) {
+      const query = inlineParams(sql, params);
+      const args = [...(writable ? [] : ["-readonly"]), "-json", dbPath, query];
+      const { stdout } = await runCli(sqlite3, args, { timeout, maxBuffer: 64 * 1024 * 1024 });
+      const trimmed = String(stdout ?? "").trim();
+      if (!trimmed) return [];
+      return JSON.parse(protectBigIntegers(trimmed)).map(reviveBigIntegers);
+    },
+    // Runs against an in-memory database, so it works before Full Disk Access is granted.
+    async check() {
+      await runCli(sqlite3, ["-json", ":memory:", "SELECT 1 AS ok"], { timeout: 5_000 });
+    },
+    close() {},
+  };
+}
+
+/**
+ * Open chat.db (or any SQLite file) read-only.
+ *
+ * `backend`: "auto" (default; node:sqlite when available, else sqlite3 CLI), "node" or "cli".
+ * `sqlite3`: runner for the CLI backend, `(args, { timeout, maxBuffer }) => Promise<{ stdout }>`
+ * (defaults to /usr/bin/sqlite3; see executors.mjs). `writable` is only for fixture databases.
+ * The connection is opened lazily, so a missing Full Disk Access grant surfaces as a query error
+ * (and is retried on the next query) instead of failing startup.
+ */
+export async function openChatDb(dbPath, { backend = "auto", sqlite3, writable = false } = {}) {
+  const choice = String(backend || "auto").trim().toLowerCase();
+  if (!["auto", "node", "cli"].includes(choice)) throw new Error(`Unknown database backend: ${backend}`);
+
+  let impl;
+  if (choice === "cli") {
+    impl = createCliBackend(dbPath, { writable, sqlite3 });
+  } else {
+    const mod = await loadNodeSqlite();
+    if (mod) impl = createNodeBackend(mod.DatabaseSync, dbPath, { writable });
+    else if (choice === "node") throw new Error("node:sqlite is not available in this Node.js runtime");
+    else impl = createCliBackend(dbPath, { writable, sqlite3 });
+  }
+
+  return {
+    path: dbPath,
+    backend: impl.name,
+    all: (sql, params, opts) => impl.all(sql, params, opts),
+    async get(sql, params, opts) {
+      const rows = await impl.all(sql, params, opts);
+      return rows[0] ?? null;
+    },
+    /** Rejects when the backend can't work here at all (a sqlite3 CLI without `-json`), without opening dbPath. */
+    check: async () => await impl.check?.(),
+    close: () => impl.close(),
+  };
+}
+
+/** Participant handles for a chat, as a comma-joined string (handles never contain commas). */
+export function participantsSubquery(chatExpr) {
+  return (
+    "(SELECT GROUP_CONCAT(participant.id, ',') FROM chat_handle_join" +
+    " JOIN handle AS participant ON chat_handle_join.handle_id = participant.ROWID" +
+    ` WHERE chat_handle_join.chat_id = ${chatExpr})`
+  );
+}
+
+export function splitParticipants(value) {
+  return String(value ?? "")
+    .split(",")
+    .map((p) => p.trim())
+    .filter(Boolean);
+}
+
+export async function lookupChatTargetsFromRowId(db, rowId) {
+  const clean = String(rowId).replace(/[^0-9]/g, "");
+  if (!clean) return null;
+  const row = await db.get("SELECT guid, chat_identifier FROM chat WHERE ROWID = $rowId LIMIT 1", {
+    rowId: Number(clean),
+  });
+  if (!row) return null;
+  const guid = String(row.guid ?? "").trim() || null;
+  const chatIdentifier = String(row.chat_identifier ?? "").trim() || null;
+  return { guid, chat_identifier: chatIdentifier };
+}
+
+const REPLY_PREVIEW_MAX_CHARS = 100;
+
+// Named parameters ($g0, $g1, ...) for an `IN (...)` list.
+function inListParams(values, prefix) {
+  const params = {};
+  values.forEach((value, i) => {
+    params[`${prefix}${i}`] = value;
+  });
+  return { placeholders: values.map((_, i) => `$${prefix}${i}`).join(", "), params };
+}
+
+function uniqueGuids(guids) {
+  return Array.from(new Set(guids.map((g) => String(g ?? "").trim()).filter(Boolean)));
+}
+
+/**
+ * Look up messages by guid (e.g. the originators of inline replies).
+ * Returns a Map of guid -> { id, guid, text (short preview), sender, is_from_me, created_at }.
+ */
+export async function lookupMessagesByGuid(db, guids, { timeout } = {}) {
+  const unique = uniqueGuids(guids);
+  const out = new Map();
+  if (!unique.length) return out;
+
+  const { placeholders, params } = inListParams(unique, "g");
+  const rows = await db.all(
+    "SELECT message.ROWID AS id, message.guid AS guid, message.text AS text, " +
+      "hex(message.attributedBody) AS attributed_body, message.is_from_me AS is_from_me, " +
+      "message.date AS date, handle.id AS sender " +
+      "FROM message LEFT JOIN handle ON message.handle_id = handle.ROWID " +
+      `WHERE message.guid IN (${placeholders})`,
+    params,
+    { timeout },
+  );
+  for (const row of rows) {
+    const isFromMe = Number(row.is_from_me) === 1;
+    out.set(String(row.guid), {
+      id: Number(row.id),
+      guid: String(row.guid),
+      text: buildTextPreview(row.text, row.attributed_body, REPLY_PREVIEW_MAX_CHARS),
+      sender: isFromMe ? undefined : row.sender || undefined,
+      is_from_me: isFromMe,
+      created_at: appleNsToIso(row.date),
+    });
+  }
+  return out;
+}
+
+/**
+ * Delivery state of an outgoing message row: "failed" (error != 0), "read" (date_read set),
+ * "delivered" (is_delivered) or "sent". Read receipts only exist when the recipient has them enabled.
+ * Inbound rows are reported as "received".
+ */
+export function messageStatusFromRow(row) {
+  const errorCode = Number(row.error ?? 0);
+  const readAt = Number(row.date_read ?? 0) > 0 ? appleNsToIso(row.date_read) : undefined;
+  const deliveredAt = Number(row.date_delivered ?? 0) > 0 ? appleNsToIso(row.date_delivered) : undefined;
+  let status = "sent";
+  if (Number(row.is_from_me) !== 1) status = "received";
+  else if (errorCode !== 0) status = "failed";
+  else if (readAt) status = "read";
+  else if (Number(row.is_delivered) === 1) status = "delivered";
+  return {
+    id: Number(row.id),
+    guid: String(row.guid),
+    status,
+    error_code: errorCode !== 0 ? errorCode : undefined,
+    service: row.service || undefined,
+    is_from_me: Number(row.is_from_me) === 1,
+    chat_id: row.chat_id == null ? undefined : Number(row.chat_id),
+    created_at: appleNsToIso(row.date),
+    delivered_at: deliveredAt,
+    read_at: readAt,
+  };
+}
+
+/** Map of guid -> messageStatusFromRow() for the given message guids (unknown guids are absent). */
+export async function lookupMessageStatuses(db, guids, { timeout } = {}) {
+  const unique = uniqueGuids(guids);
+  const out = new Map();
+  if (!unique.length) return out;
+
+  const { placeholders, params } = inListParams(unique, "g");
+  const rows = await db.all(
+    "SELECT message.ROWID AS id, message.guid AS guid, message.is_from_me AS is_from_me, " +
+      "message.service AS service, message.error AS error, message.is_delivered AS is_delivered, " +
+      "message.date AS date, message.date_delivered AS date_delivered, message.date_read AS date_read, " +
+      "(SELECT chat_id FROM chat_message_join WHERE message_id = message.ROWID LIMIT 1) AS chat_id " +
+      `FROM message WHERE message.guid IN (${placeholders})`,
+    params,
+    { timeout },
+  );
+  for (const row of rows) out.set(String(row.guid), messageStatusFromRow(row));
+  return out;
+}
+
+/**
+ * Handles ordered by their latest message (either direction), with the service of each handle row.
+ * A handle id has one row per service it was used with (e.g. iMessage and SMS), so the same id can
+ * appear more than once. Returns [{ handle, service, last_date, message_count }].
+ */
+export async function listRecentHandles(db, { limit = 1000, timeout } = {}) {
+  return await db.all(
+    "SELECT handle.id AS handle, handle.service AS service, MAX(message.date) AS last_date," +
+      " COUNT(message.ROWID) AS message_count" +
+      " FROM handle LEFT JOIN message ON message.handle_id = handle.ROWID" +
+      " GROUP BY handle.ROWID ORDER BY COALESCE(MAX(message.date), 0) DESC LIMIT $limit",
+    { limit },
+    { timeout },
+  );
+}
+
+const CHATS_LIST_DEFAULT_LIMIT = 50;
+const CHATS_LIST_MAX_LIMIT = 500;
+const PREVIEW_MAX_CHARS = 160;
+
+export function buildChatsListQuery({ limit, offset, since, query } = {}) {
+  const params = {
+    limit: Math.min(Math.max(toInteger(limit, CHATS_LIST_DEFAULT_LIMIT), 1), CHATS_LIST_MAX_LIMIT),
+    offset: Math.max(toInteger(offset, 0), 0),
+  };
+
+  const select = [
+    "chat.ROWID as id",
+    "chat.guid as guid",
+    "chat.chat_identifier as chat_identifier",
+    "chat.display_name as display_name",
+    "chat.service_name as service",
+    "chat.style as style",
+    `${participantsSubquery("chat.ROWID")} as participants`,
+    "last_message.text as last_text",
+    "hex(last_message.attributedBody) as last_attributed_body",
+    "last_message.date as last_date",
+    "last_message.is_from_me as last_is_from_me",
+    "(SELECT COUNT(*) FROM chat_message_join AS unread_join" +
+      " JOIN message AS unread ON unread.ROWID = unread_join.message_id" +
+      " WHERE unread_join.chat_id = chat.ROWID AND unread.is_from_me = 0 AND unread.is_read = 0" +
+      " AND unread.associated_message_type = 0) as unread_count",
+  ];
+
+  const where = [];
+  const sinceNs = parseTimeParam(since);
+  if (sinceNs != null) {
+    where.push("last_message.date > $since");
+    params.since = sinceNs;
+  }
+  const q = String(query ?? "").trim();
+  if (q) {
+    where.push(
+      "(chat.chat_identifier LIKE $query ESCAPE '\\' OR chat.display_name LIKE $query ESCAPE '\\'" +
+        " OR chat.guid LIKE $query ESCAPE '\\'" +
+        " OR EXISTS (SELECT 1 FROM chat_handle_join AS query_join JOIN handle AS query_handle" +
+        " ON query_join.handle_id = query_handle.ROWID" +
+        " WHERE query_join.chat_id = chat.ROWID AND query_handle.id LIKE $query ESCAPE '\\'))",
+    );
+    params.query = likeContains(q);
+  }
+
+  const sql = [
+    `SELECT ${select.join(", ")}`,
+    "FROM chat",
+    "LEFT JOIN message AS last_message ON last_message.ROWID = (",
+    "SELECT chat_message_join.message_id FROM chat_message_join",
+    "JOIN message ON message.ROWID = chat_message_join.message_id",
+    "WHERE chat_message_join.chat_id = chat.ROWID AND message.associated_message_type = 0",
+    "ORDER BY message.date DESC LIMIT 1)",
+    where.length ? `WHERE ${where.join(" AND ")}` : "",
+    "ORDER BY COALESCE(last_message.date, 0) DESC, chat.ROWID DESC",
+    "LIMIT $limit OFFSET $offset",
+  ]
+    .join(" ")
+    .replace(/\s+/g, " ")
+    .trim();
+
+  return { sql, params };
+}
+
+/** Single-line preview of a message body, falling back to the decoded attributedBody. */
+export function buildTextPreview(text, attributedBodyHex, maxChars = PREVIEW_MAX_CHARS) {
+  let out = String(text ?? "");
+  if (!out && attributedBodyHex) out = decodeAttributedBody(attributedBodyHex)?.text ?? "";
+  out = out.replace(/\uFFFC/g, "").replace(/\s+/g, " ").trim();
+  return out.length > maxChars ? `${out.slice(0, maxChars - 1)}…` : out;
+}
+
+export function buildChatEntry(row) {
+  if (row?.id == null) return null;
+  const ident = String(row.chat_identifier ?? "");
+  const style = row.style == null ? null : Number(row.style);
+  return {
+    id: Number(row.id),
+    guid: row.guid || undefined,
+    chat_identifier: ident || undefined,
+    display_name: row.display_name || undefined,
+    service: row.service || undefined,
+    // chat.style: 43 = group chat, 45 = one-to-one.
+    is_group: style === 43 || (style == null && ident.startsWith("chat")),
+    participants: splitParticipants(row.participants),
+    last_message:
+      row.last_date != null
+        ? {
+            text: buildTextPreview(row.last_text, row.last_attributed_body),
+            is_from_me: Number(row.last_is_from_me) === 1,
+            date: String(row.last_date),
+            created_at: appleNsToIso(row.last_date),
+          }
+        : null,
+    unread_count: Number(row.unread_count ?? 0),
+  };
+}
+
+/** chats.list backed by the chat, chat_handle_join and handle tables (most recently active first). */
+export async function listChats(db, params = {}) {
+  const { sql, params: sqlParams } = buildChatsListQuery(params);
+  const rows = await db.all(sql, sqlParams);
+  const chats = rows.map(buildChatEntry).filter(Boolean);
+  return { chats, count: chats.length };
+}
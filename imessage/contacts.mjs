@@ -0,0 +1,329 @@
+/*
+ * Contact names from the local macOS Contacts (AddressBook) database, read-only.
+ *
+ * Why this exists:
+ * - chat.db only knows handles ("+15551234567"); names live in the AddressBook stores, one per account
+ *   (iCloud, Google, "On My Mac"): ~/Library/Application Support/AddressBook/AddressBook-v22.abcddb and
+ *   ~/Library/Application Support/AddressBook/Sources/<uuid>/AddressBook-v22.abcddb.
+ *
+ * The index maps normalized handles (handles.mjs) to { name, organization }. It is rebuilt when a store
+ * file changes, checked at most once per `checkIntervalMs`. Reading the stores needs the same Full Disk
+ * Access grant as chat.db; when they can't be read the index stays empty and names are simply omitted.
+ * A store that was read before and then fails (locked mid-write, permissions) keeps its previous names.
+ *
+ * searchPeople() ranks contacts and recent chat participants against a name (or handle) query.
+ */
+
+import fs from "node:fs/promises";
+import os from "node:os";
+import path from "node:path";
+
+import { appleNsToIso, openChatDb } from "./chat-db.mjs";
+import { looksLikeHandle, normalizeHandle } from "./handles.mjs";
+
+const STORE_FILE = "AddressBook-v22.abcddb";
+
+export function defaultAddressBookDir() {
+  const home = String(process.env.HOME ?? "").trim() || os.homedir();
+  return path.join(home, "Library", "Application Support", "AddressBook");
+}
+
+/**
+ * The store files under an AddressBook directory (the top-level store plus one per source), or the
+ * path itself when it points at a single SQLite file (e.g. a test fixture).
+ */
+export async function findAddressBookStores(location = defaultAddressBookDir()) {
+  const st = await fs.stat(location).catch(() => null);
+  if (!st) return [];
+  if (st.isFile()) return [location];
+
+  const stores = [];
+  const top = path.join(location, STORE_FILE);
+  if (await fs.stat(top).then((s) => s.isFile()).catch(() => false)) stores.push(top);
+  const sources = await fs.readdir(path.join(location, "Sources"), { withFileTypes: true }).catch(() => []);
+  for (const ent of sources) {
+    if (!ent.isDirectory()) continue;
+    const store = path.join(location, "Sources", ent.name, STORE_FILE);
+    if (await fs.stat(store).then((s) => s.isFile()).catch(() => false)) stores.push(store);
+  }
+  return stores;
+}
+
+// One row per phone number / email address, with the owning record's name fields.
+const CONTACT_HANDLES_SQL = [
+  "SELECT r.Z_PK AS record_id, r.ZFIRSTNAME AS first_name, r.ZLASTNAME AS last_name,",
+  "r.ZNICKNAME AS nickname, r.ZORGANIZATION AS organization, p.ZFULLNUMBER AS handle",
+  "FROM ZABCDRECORD AS r JOIN ZABCDPHONENUMBER AS p ON p.ZOWNER = r.Z_PK",
+  "WHERE p.ZFULLNUMBER IS NOT NULL",
+  "UNION ALL",
+  "SELECT r.Z_PK, r.ZFIRSTNAME, r.ZLASTNAME, r.ZNICKNAME, r.ZORGANIZATION, e.ZADDRESS",
+  "FROM ZABCDRECORD AS r JOIN ZABCDEMAILADDRESS AS e ON e.ZOWNER = r.Z_PK",
+  "WHERE e.ZADDRESS IS NOT NULL",
+].join(" ");
+
+function clean(value) {
+  return String(value ?? "").trim();
+}
+
+// The name Contacts would show: "First Last", else the nickname, else the organization.
+function displayNameFromRow(row) {
+  const person = [clean(row.first_name), clean(row.last_name)].filter(Boolean).join(" ");
+  return person || clean(row.nickname) || clean(row.organization);
+}
+
+async function storesSignature(stores) {
+  const parts = [];
+  for (const store of stores) {
+    // Contacts writes through the WAL, so the main file's mtime alone can lag behind.
+    for (const file of [store, `${store}-wal`]) {
+      const st = await fs.stat(file).catch(() => null);
+      parts.push(st ? `${file}:${st.mtimeMs}:${st.size}` : `${file}:-`);
+    }
+  }
+  return parts.join("|");
+}
+
+/**
+ * Handle -> contact index. `location` is an AddressBook directory or a single store file (defaults to
+ * the user's AddressBook). Call refresh() before a batch of lookups; lookup() is synchronous.
+ */
+export function createContactsIndex({
+  location = defaultAddressBookDir(),
+  backend = "auto",
+  sqlite3,
+  defaultCountry,
+  checkIntervalMs = 60_000,
+  log = () => {},
+} = {}) {
+  let byHandle = new Map();
+  let contacts = [];
+  let signature = null;
+  let lastCheck = 0;
+  let building = null;
+  // Rows last read from each store, reused while a store can't be read so its names aren't lost.
+  const storeRows = new Map();
+
+  // Rebuilds the index; returns false when a store couldn't be read (its previous rows were used).
+  async function build(stores) {
+    const nextByHandle = new Map();
+    const records = new Map();
+    let complete = true;
+    for (const store of stores) {
+      let rows;
+      try {
+        const db = await openChatDb(store, { backend, sqlite3 });
+        try {
+          rows = await db.all(CONTACT_HANDLES_SQL, {}, { timeout: 10_000 });
+        } finally {
+          db.close();
+        }
+        storeRows.set(store, rows);
+      } catch (err) {
+        complete = false;
+        rows = storeRows.get(store);
+        log(`[contacts] cannot read ${store}${rows ? "; keeping the names read before" : ""}: ${String(err)}`);
+        if (!rows) continue;
+      }
+      for (const row of rows) {
+        const name = displayNameFromRow(row);
+        const handle = normalizeHandle(row.handle, { defaultCountry });
+        if (!name || !handle) continue;
+        const key = `${store}#${row.record_id}`;
+        let contact = records.get(key);
+        if (!contact) {
+          contact = {
+            name,
+            first_name: clean(row.first_name) || undefined,
+            last_name: clean(row.last_name) || undefined,
+            nickname: clean(row.nickname) || undefined,
+            organization: clean(row.organization) || undefined,
+            handles: [],
+          };
+          records.set(key, contact);
+        }
+        if (!contact.handles.includes(handle)) contact.handles.push(handle);
+        // The same number can be in several sources; the first one read wins.
+        if (!nextByHandle.has(handle)) nextByHandle.set(handle, contact);
+      }
+    }
+    byHandle = nextByHandle;
+    contacts = Array.from(records.values());
+    return complete;
+  }
+
+  async function reload() {
+    const stores = await findAddressBookStores(location);
+    const next = await storesSignature(stores);
+    if (next === signature) return;
+    // A store that couldn't be read is retried on the next refresh, even if no file changed.
+    if (await build(stores)) signature = next;
+    log(`[contacts] indexed ${byHandle.size} handle(s) from ${stores.length} store(s)`);
+  }
+
+  return {
+    async refresh({ force = false } = {}) {
+      const now = Date.now();
+      if (building) return building;
+      if (!force && now - lastCheck < checkIntervalMs) return;
+      lastCheck = now;
+      building = reload()
+        .catch((err) => log(`[contacts] refresh failed: ${String(err)}`))
+        .finally(() => {
+          building = null;
+        });
+      return building;
+    },
+
+    /** { name, organization, ... } for a handle in any format, or null. */
+    lookup(handle) {
+      if (!handle) return null;
+      return byHandle.get(normalizeHandle(handle, { defaultCountry })) ?? null;
+    },
+
+    /** Every indexed contact as { name, first_name, last_name, nickname, organization, handles }. */
+    list() {
+      return contacts;
+    },
+
+    get size() {
+      return byHandle.size;
+    },
+  };
+}
+
+// Lowercase, accents stripped, punctuation (other than handle characters) turned into spaces.
+function foldText(value) {
+  return String(value ?? "")
+    .normalize("NFD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .toLowerCase()
+    .replace(/[^\p{L}\p{N}@.+]+/gu, " ")
+    .trim();
+}
+
+function editDistance(a, b) {
+  let prev = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const row = [i];
+    for (let j = 1; j <= b.length; j++) {
+      row[j] = Math.min(prev[j] + 1, row[j - 1] + 1, prev[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+    }
+    prev = row;
+  }
+  return prev[b.length];
+}
+
+/**
+ * How well a name matches a query, from 0 (no match) to 1 (exact): whole-name prefix, then every query
+ * word prefixing a word of the name ("ali smi"), then substring, then typo-tolerant word matches.
+ */
+export function scoreNameMatch(query, name) {
+  const q = foldText(query);
+  const text = foldText(name);
+  if (!q || !text) return 0;
+  if (text === q) return 1;
+  if (text.startsWith(q)) return 0.9;
+  const words = text.split(" ");
+  const queryWords = q.split(" ");
+  if (queryWords.every((qw) => words.some((w) => w.startsWith(qw)))) return queryWords.length > 1 ? 0.85 : 0.8;
+  if (text.includes(q)) return 0.6;
+
+  let distance = 0;
+  for (const qw of queryWords) {
+    if (qw.length < 3) return 0;
+    const allowed = qw.length <= 4 ? 1 : 2;
+    let best = Infinity;
+    for (const w of words) best = Math.min(best, editDistance(qw, w), editDistance(qw, w.slice(0, qw.length)));
+    if (best > allowed) return 0;
+    distance += best;
+  }
+  return Math.max(0.5 - 0.1 * distance, 0.2);
+}
+
+// A query that is (part of) a phone number or email matches handles directly.
+function scoreHandleMatch(query, handle, { defaultCountry }) {
+  const q = String(query ?? "").trim();
+  if (!q || !handle) return 0;
+  if (looksLikeHandle(q)) {
+    if (normalizeHandle(q, { defaultCountry }) === handle) return 1;
+    const digits = q.replace(/\D/g, "");
+    if (!q.includes("@") && digits.length >= 3 && handle.replace(/\D/g, "").includes(digits)) return 0.7;
+  }
+  // "bob" or "bob@exa" finds bob@example.com.
+  return handle.includes("@") && foldText(q) && handle.startsWith(foldText(q)) ? 0.5 : 0;
+}
+
+/**
+ * Rank people for a query. `contacts` is contactsIndex.list() (may be empty), `recentHandles` is
+ * listRecentHandles() from chat-db.mjs. Contacts match on their name fields and handles, chat
+ * participants without a contact on their handle only. Each result lists its handles with the services
+ * chat.db has seen them on, most recently used first:
+ *   { name, organization, source: "contacts"|"chats", score, last_message_at,
+ *     handles: [{ handle, services, preferred_service, last_message_at, message_count }] }
+ * Equal scores rank by recent activity.
+ */
+export function searchPeople(query, { contacts = [], recentHandles = [], defaultCountry, limit = 10 } = {}) {
+  const activity = new Map();
+  for (const row of recentHandles) {
+    const handle = normalizeHandle(row.handle, { defaultCountry });
+    if (!handle) continue;
+    const entry = activity.get(handle) ?? { services: [], lastDate: 0n, messageCount: 0 };
+    if (row.service && !entry.services.includes(row.service)) entry.services.push(row.service);
+    if (row.last_date != null && BigInt(row.last_date) > entry.lastDate) entry.lastDate = BigInt(row.last_date);
+    entry.messageCount += Number(row.message_count ?? 0);
+    activity.set(handle, entry);
+  }
+
+  const describeHandles = (handles) =>
+    handles
+      .map((handle) => {
+        const entry = activity.get(handle);
+        return {
+          handle,
+          services: entry?.services ?? [],
+          // iMessage when chat.db has seen this handle on it; otherwise Messages decides.
+          preferred_service: entry?.services.includes("iMessage") ? "iMessage" : entry?.services[0],
+          last_message_at: entry?.lastDate ? appleNsToIso(entry.lastDate) : undefined,
+          message_count: entry?.messageCount ?? 0,
+          lastDate: entry?.lastDate ?? 0n,
+        };
+      })
+      .sort((a, b) => (a.lastDate === b.lastDate ? 0 : a.lastDate > b.lastDate ? -1 : 1));
+
+  const results = [];
+  const inContacts = new Set();
+  for (const contact of contacts) {
+    const fields = [contact.name, contact.nickname, contact.organization, contact.first_name, contact.last_name];
+    let score = Math.max(...fields.map((field) => scoreNameMatch(query, field)));
+    for (const handle of contact.handles) {
+      inContacts.add(handle);
+      score = Math.max(score, scoreHandleMatch(query, handle, { defaultCountry }));
+    }
+    if (!score) continue;
+    results.push({
+      name: contact.name,
+      organization: contact.organization,
+      source: "contacts",
+      score,
+      handles: describeHandles(contact.handles),
+    });
+  }
+  for (const handle of activity.keys()) {
+    if (inContacts.has(handle)) continue;
+    const score = scoreHandleMatch(query, handle, { defaultCountry });
+    if (score) results.push({ source: "chats", score, handles: describeHandles([handle]) });
+  }
+
+  const lastDateOf = (result) => result.handles[0]?.lastDate ?? 0n;
+  results.sort((a, b) => {
+    if (a.score !== b.score) return b.score - a.score;
+    if (lastDateOf(a) !== lastDateOf(b)) return lastDateOf(a) > lastDateOf(b) ? -1 : 1;
+    return String(a.name ?? "").localeCompare(String(b.name ?? ""));
+  });
+  return results.slice(0, limit).map((result) => ({
+    ...result,
+    score: Math.round(result.score * 100) / 100,
+    last_message_at: result.handles[0]?.last_message_at,
+    handles: result.handles.map(({ lastDate: _lastDate, ...handle }) => handle),
+  }));
+}
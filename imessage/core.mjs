@@ -0,0 +1,2942 @@
+/*
+ * Shared iMessage core: chat.db polling, message building, send targeting and attachment handling.
+ *
+ * Why this exists:
+ * - OpenClaw reaches iMessage two ways: by spawning `native-applescript.mjs rpc` (JSON-RPC over stdio)
+ *   or in process through client-native.mjs's IMessageRpcClient. Both are thin transports over
+ *   createCore(), so they accept the same methods and params and emit the same notifications.
+ *
+ * Contract:
+ * - createCore(options, { notify, stateScope }) resolves to { request, pollNow, stop }. `stateScope` gives a
+ *   transport its own state files (see resolveStateFiles), so it can run next to another one.
+ * - request(method, params, { onQueued }) resolves with the JSON-RPC `result`, or rejects with an Error that
+ *   may carry `rpcCode`/`rpcData` (see rpcError); unknown methods reject with -32601. `send` calls
+ *   onQueued(queueIds) once its messages are in the outbound queue, before waiting for them to go out.
+ * - notify(method, params) receives the "message", "reaction", "message.status" and "error" notifications.
+ * - Logs go to the `log` logger (log.mjs), which never writes to stdout: that belongs to the stdio transport.
+ */
+
+import { createHash } from "node:crypto";
+import { watch as fsWatch } from "node:fs";
+import fs from "node:fs/promises";
+import os from "node:os";
+import path from "node:path";
+
+import { createAccessList } from "./access-list.mjs";
+import { decodeAttributedBody } from "./attributed-body.mjs";
+import { createContactsIndex, searchPeople } from "./contacts.mjs";
+import { createExecutor, EXECUTOR_MODES } from "./executors.mjs";
+import { looksLikeHandle, normalizeHandle } from "./handles.mjs";
+import { createLogger, LOG_LEVELS, LOG_TARGETS } from "./log.mjs";
+import { renderPrometheusMetrics } from "./metrics.mjs";
+import { formatOutboundText } from "./outbound-format.mjs";
+import {
+  appleNsToIso,
+  appleNsToUnixMs,
+  buildTextPreview,
+  likeContains,
+  listChats,
+  listRecentHandles,
+  lookupChatTargetsFromRowId,
+  lookupMessageStatuses,
+  lookupMessagesByGuid,
+  openChatDb,
+  parseTimeParam,
+  participantsSubquery,
+  splitParticipants,
+  toInteger,
+  unixMsToAppleNs,
+} from "./chat-db.mjs";
+
+const NS_PER_S = 1_000_000_000n;
+
+// Application error codes (JSON-RPC reserves -32768..-32000 for the protocol and server errors).
+export const RPC_ERROR_METHOD_NOT_FOUND = -32601;
+export const RPC_ERROR_RATE_LIMITED = -32029;
+export const RPC_ERROR_BLOCKED = -32030;
+export const RPC_ERROR_CONTACT_UNRESOLVED = -32031;
+export const RPC_ERROR_OVER_LIMIT = -32032;
+
+// An Error carrying its own JSON-RPC error code and structured `data`.
+export function rpcError(message, code, data) {
+  return Object.assign(new Error(message), { rpcCode: code, rpcData: data });
+}
+
+function escapeAppleScriptString(str) {
+  if (!str) return "";
+  return String(str)
+    .replace(/\\/g, "\\\\")
+    .replace(/"/g, '\\"')
+    .replace(/\n/g, "\\n")
+    .replace(/\r/g, "\\r")
+    .replace(/\t/g, "\\t");
+}
+
+function expandTilde(p) {
+  if (!p) return p;
+  if (p === "~") return process.env.HOME ?? p;
+  if (p.startsWith("~/")) return `${process.env.HOME ?? ""}${p.slice(1)}`;
+  return p;
+}
+
+function resolveMessagesAttachmentsDir(env = process.env) {
+  const home = String(env.HOME ?? "").trim() || os.homedir();
+  return path.join(home, "Library", "Messages", "Attachments");
+}
+
+function normalizeAttachmentPath(p) {
+  if (!p) return "";
+  let out = String(p);
+  if (out.startsWith("file://")) out = out.slice("file://".length);
+  out = expandTilde(out);
+
+  out = out.trim();
+  if (!out) return "";
+
+  // Some rows store attachment paths relative to ~/Library/Messages/Attachments.
+  // Make them absolute so OpenClaw can actually load the media.
+  if (!path.isAbsolute(out)) {
+    const home = String(process.env.HOME ?? "").trim() || os.homedir();
+    const trimmed = out.replace(/^[.][/\\\\]/, "");
+    if (trimmed.startsWith(`Library${path.sep}`) || trimmed.startsWith("Library/") || trimmed.startsWith("Library\\")) {
+      out = path.join(home, trimmed);
+    } else {
+      const base = resolveMessagesAttachmentsDir();
+      const resolved = path.resolve(base, trimmed);
+      const basePrefix = base.endsWith(path.sep) ? base : base + path.sep;
+      out = resolved.startsWith(basePrefix) ? resolved : resolved;
+    }
+  }
+
+  return out;
+}
+
+function sanitizeInboundText(text, attachments) {
+  const raw = text == null ? "" : String(text);
+  if (!raw) return "";
+  if (!attachments || attachments.length === 0) return raw;
+
+  // iMessage stores attachments in the DB separately and often inserts U+FFFC
+  // (OBJECT REPLACEMENT CHARACTER) into message.text as a placeholder.
+  // If we forward that through, OpenClaw treats it as normal text and won't
+  // fall back to <media:image>/<media:attachment> placeholders.
+  return raw.replace(/\uFFFC/g, "").trim();
+}
+
+function inferMimeTypeFromPath(filePath) {
+  const ext = path.extname(String(filePath || "")).toLowerCase();
+  switch (ext) {
+    case ".jpg":
+    case ".jpeg":
+      return "image/jpeg";
+    case ".png":
+      return "image/png";
+    case ".gif":
+      return "image/gif";
+    case ".webp":
+      return "image/webp";
+    case ".bmp":
+      return "image/bmp";
+    case ".tif":
+    case ".tiff":
+      return "image/tiff";
+    case ".heic":
+      return "image/heic";
+    case ".heif":
+      return "image/heif";
+    case ".svg":
+      return "image/svg+xml";
+    case ".mp4":
+      return "video/mp4";
+    case ".mov":
+      return "video/quicktime";
+    case ".m4v":
+      return "video/x-m4v";
+    case ".mp3":
+      return "audio/mpeg";
+    case ".m4a":
+      return "audio/mp4";
+    case ".wav":
+      return "audio/wav";
+    case ".aac":
+      return "audio/aac";
+    case ".pdf":
+      return "application/pdf";
+    default:
+      return undefined;
+  }
+}
+
+function normalizeMimeType(mimeType, filePath) {
+  const trimmed = String(mimeType || "").trim();
+  if (trimmed) return trimmed;
+  return inferMimeTypeFromPath(filePath);
+}
+
+function hasBytesPrefix(buf, bytes) {
+  if (!buf || buf.length < bytes.length) return false;
+  for (let i = 0; i < bytes.length; i++) if (buf[i] !== bytes[i]) return false;
+  return true;
+}
+
+function asciiSlice(buf, start, end) {
+  if (!buf || buf.length < end) return "";
+  return buf.subarray(start, end).toString("ascii");
+}
+
+function sniffMimeTypeFromHeader(buf) {
+  if (!buf || buf.length < 4) return undefined;
+
+  // JPEG
+  if (hasBytesPrefix(buf, [0xff, 0xd8, 0xff])) return "image/jpeg";
+
+  // PNG
+  if (hasBytesPrefix(buf, [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])) return "image/png";
+
+  // GIF
+  const gif = asciiSlice(buf, 0, 6);
+  if (gif === "GIF87a" || gif === "GIF89a") return "image/gif";
+
+  // WebP (RIFF....WEBP)
+  if (asciiSlice(buf, 0, 4) === "RIFF" && asciiSlice(buf, 8, 12) === "WEBP") return "image/webp";
+
+  // PDF
+  if (asciiSlice(buf, 0, 4) === "%PDF") return "application/pdf";
+
+  // ISO BMFF (HEIC/HEIF/MP4/QuickTime)
+  if (asciiSlice(buf, 4, 8) === "ftyp") {
+    const brand = asciiSlice(buf, 8, 12);
+    const lower = brand.toLowerCase();
+    if (["heic", "heix", "hevc", "hevx"].includes(lower)) return "image/heic";
+    if (["mif1", "msf1", "heif"].includes(lower)) return "image/heif";
+    if (lower === "qt  ") return "video/quicktime";
+    if (["isom", "iso2", "mp41", "mp42", "avc1", "dash"].includes(lower)) return "video/mp4";
+  }
+
+  // ZIP (sometimes used as a container)
+  if (hasBytesPrefix(buf, [0x50, 0x4b, 0x03, 0x04])) return "application/zip";
+
+  return undefined;
+}
+
+async function sniffMimeTypeFromFilePath(filePath) {
+  const p = String(filePath || "").trim();
+  if (!p) return undefined;
+  try {
+    const fh = await fs.open(p, "r");
+    try {
+      const buf = Buffer.alloc(64);
+      const { bytesRead } = await fh.read(buf, 0, buf.length, 0);
+      return sniffMimeTypeFromHeader(buf.subarray(0, bytesRead));
+    } finally {
+      await fh.close();
+    }
+  } catch {
+    return undefined;
+  }
+}
+
+function safeFileNameFragment(value) {
+  return String(value || "")
+    .trim()
+    .replace(/[^a-zA-Z0-9._-]+/g, "_")
+    .replace(/^_+|_+$/g, "");
+}
+
+function resolveLocalSkillPath(fileName) {
+  try {
+    const thisFile = decodeURIComponent(new URL(import.meta.url).pathname);
+    return path.join(path.dirname(thisFile), fileName);
+  } catch {
+    return "";
+  }
+}
+
+async function maybeConvertHeicToJpeg(inputPath, attachmentId, executor) {
+  const p = String(inputPath || "").trim();
+  if (!p) return null;
+
+  // Use OpenClaw state dir so the path is stable across restarts and can be safely shared with the agent.
+  const inboxDir = path.join(resolveOpenclawStateDir(), "media", "inbox");
+  const base = attachmentId ? `converted-${safeFileNameFragment(attachmentId)}` : `converted-${safeFileNameFragment(path.basename(p))}`;
+  const outPath = path.join(inboxDir, `${base}.jpg`);
+
+  try {
+    const st = await fs.stat(outPath);
+    if (st.isFile() && st.size > 0) return outPath;
+  } catch {
+    // Not present; fall through to convert.
+  }
+
+  try {
+    await fs.mkdir(inboxDir, { recursive: true });
+  } catch {
+    // ignore
+  }
+
+  try {
+    await executor.run("sips", ["-s", "format", "jpeg", p, "--out", outPath], { timeout: 30_000 });
+    const st = await fs.stat(outPath);
+    if (st.isFile() && st.size > 0) return outPath;
+  } catch {
+    // Fall through to alternate converters.
+  }
+
+  // Fallback 1: skill-bundled converter script (ImageMagick-based)
+  const converterScript = resolveLocalSkillPath("convert-heic.sh");
+  if (converterScript) {
+    try {
+      await executor.run("bash", [converterScript, p, outPath, "85"], { timeout: 30_000 });
+      const st = await fs.stat(outPath);
+      if (st.isFile() && st.size > 0) return outPath;
+    } catch {
+      // Fall through to direct magick call.
+    }
+  }
+
+  // Fallback 2: direct ImageMagick invocation if available in PATH.
+  try {
+    await executor.run("magick", ["convert", p, "-quality", "85", outPath], { timeout: 30_000 });
+    const st = await fs.stat(outPath);
+    if (st.isFile() && st.size > 0) return outPath;
+  } catch {
+    // No converter available.
+  }
+
+  return null;
+}
+
+// Like parsePositiveInt, but 0 is a valid value (used for limits where 0 means "off").
+function parseNonNegativeInt(value, fallback) {
+  const n = Number.parseInt(String(value ?? "").trim(), 10);
+  return Number.isFinite(n) && n >= 0 ? n : fallback;
+}
+
+function parsePositiveInt(value, fallback) {
+  const n = Number.parseInt(String(value ?? "").trim(), 10);
+  return Number.isFinite(n) && n > 0 ? n : fallback;
+}
+
+function isTruthyEnv(value) {
+  const v = String(value ?? "").trim().toLowerCase();
+  return v === "1" || v === "true" || v === "yes" || v === "y" || v === "on";
+}
+
+function resolveOpenclawStateDir(env = process.env) {
+  const override = String(env.OPENCLAW_STATE_DIR ?? env.CLAWDBOT_STATE_DIR ?? "").trim();
+  if (override) return path.resolve(expandTilde(override));
+  const home = String(env.HOME ?? "").trim() || os.homedir();
+  return path.join(home, ".openclaw");
+}
+
+function resolveOpenclawConfigPath(env = process.env) {
+  const override = String(env.OPENCLAW_CONFIG_PATH ?? "").trim();
+  if (override) return path.resolve(expandTilde(override));
+  return path.join(resolveOpenclawStateDir(env), "openclaw.json");
+}
+
+// Settings for this runtime's account from openclaw.json: channels.imessage.accounts.<id> layered
+// over the channel-level keys. The account is --account / OPENCLAW_IMESSAGE_ACCOUNT when given, else
+// the one whose dbPath matches --db, else "default". A missing or unreadable config yields no settings.
+async function loadAccountConfig({ account, dbPath } = {}) {
+  let channel = null;
+  try {
+    const cfg = JSON.parse(await fs.readFile(resolveOpenclawConfigPath(), "utf8"));
+    channel = cfg?.channels?.imessage;
+  } catch { /* no config file; defaults apply */ }
+  if (!channel || typeof channel !== "object") return { id: account || "default" };
+
+  const { accounts, ...channelLevel } = channel;
+  let id = account;
+  if (!id && dbPath && accounts && typeof accounts === "object") {
+    const resolvedDb = path.resolve(dbPath);
+    id = Object.keys(accounts).find((key) => {
+      const accountDb = accounts[key]?.dbPath;
+      return typeof accountDb === "string" && path.resolve(expandTilde(accountDb.trim())) === resolvedDb;
+    });
+  }
+  id = id || "default";
+  const accountCfg = accounts?.[id] && typeof accounts[id] === "object" ? accounts[id] : {};
+  return { ...channelLevel, ...accountCfg, id };
+}
+
+// Write via a temp file in the same directory + rename so readers (and restarts after a crash)
+// only ever see the old or the new contents, never a truncated file.
+async function writeFileAtomic(filePath, data) {
+  await fs.mkdir(path.dirname(filePath), { recursive: true });
+  const rand = Math.random().toString(16).slice(2);
+  const tmpPath = `${filePath}.${process.pid}-${rand}.tmp`;
+  try {
+    await fs.writeFile(tmpPath, data, { mode: 0o600 });
+    await fs.rename(tmpPath, filePath);
+  } catch (err) {
+    await fs.rm(tmpPath, { force: true }).catch(() => {});
+    throw err;
+  }
+}
+
+// The poll cursor, outbound queue and daily send count belong to one account reading one chat.db, so
+// their files are named after both: `imessage-<account>-<hash of the db path>[-<scope>]-<name>`.
+function resolveStateFiles({ accountId, dbPath, scope }) {
+  const dbHash = createHash("sha256").update(path.resolve(dbPath)).digest("hex").slice(0, 8);
+  const prefix = `imessage-${String(accountId).replace(/[^\w.-]/g, "_")}-${dbHash}${scope ? `-${scope}` : ""}`;
+  const file = (name) => path.join(resolveOpenclawStateDir(), `${prefix}-${name}`);
+  return {
+    lock: file("state.lock"),
+    pollState: file("poll-state.json"),
+    rateLimit: file("rate-limit.json"),
+    outboundQueue: file("outbound-queue.json"),
+  };
+}
+
+// Files written before state files were per account; the first runtime to start after an upgrade
+// takes them over (a rename, so only one does).
+const LEGACY_STATE_FILES = {
+  pollState: "imessage-poll-state.json",
+  rateLimit: "imessage-rate-limit.json",
+  outboundQueue: "imessage-outbound-queue.json",
+};
+
+async function adoptLegacyStateFiles(files, { log }) {
+  for (const [key, name] of Object.entries(LEGACY_STATE_FILES)) {
+    const legacy = path.join(resolveOpenclawStateDir(), name);
+    try {
+      await fs.access(files[key]);
+      continue;
+    } catch { /* no per-account file yet */ }
+    try {
+      await fs.rename(legacy, files[key]);
+      log.info("adopted legacy state file", { from: legacy, to: files[key] });
+    } catch { /* no legacy file */ }
+  }
+}
+
+function isProcessAlive(pid) {
+  try {
+    process.kill(pid, 0);
+    return true;
+  } catch (err) {
+    return err.code === "EPERM";
+  }
+}
+
+// One runtime at a time owns a set of state files: a second one would restore and send the first one's
+// queued items and overwrite its cursor. A lock left by a process that is gone is taken over.
+async function acquireStateLock(lockPath, { log }) {
+  await fs.mkdir(path.dirname(lockPath), { recursive: true });
+  for (let attempt = 0; attempt < 2; attempt++) {
+    try {
+      await fs.writeFile(lockPath, JSON.stringify({ pid: process.pid, started_at: new Date().toISOString() }), {
+        flag: "wx",
+        mode: 0o600,
+      });
+      let released = false;
+      return async () => {
+        if (released) return;
+        released = true;
+        await fs.rm(lockPath, { force: true });
+      };
+    } catch (err) {
+      if (err.code !== "EEXIST") throw err;
+    }
+    let owner = null;
+    try {
+      owner = JSON.parse(await fs.readFile(lockPath, "utf8"));
+    } catch { /* being written, or left half-written by a crash */ }
+    const pid = Number(owner?.pid);
+    if (Number.isInteger(pid) && pid > 0 && isProcessAlive(pid)) {
+      throw new Error(
+        `State files ${path.basename(lockPath, "-state.lock")}-* are in use by another runtime (pid ${pid}); ` +
+          "run one runtime per account and chat.db, or pass a different --account",
+      );
+    }
+    const stat = await fs.stat(lockPath).catch(() => null);
+    if (!owner && stat && Date.now() - stat.mtimeMs < 5_000) {
+      throw new Error(`State lock ${lockPath} is being taken by another runtime`);
+    }
+    log.warn("taking over a stale state lock", { file: lockPath, pid: owner?.pid });
+    await fs.rm(lockPath, { force: true });
+  }
+  throw new Error(`Could not take the state lock ${lockPath}`);
+}
+
+async function assertSafeOutboundFilePath(filePath) {
+  if (!filePath) return;
+
+  // Security hardening:
+  // By default, only allow sending attachments that OpenClaw staged into its outbound media dir.
+  // This prevents exfiltration of arbitrary local files if an attacker can trigger iMessage sends.
+  // Escape hatch for trusted environments:
+  //   OPENCLAW_IMESSAGE_ALLOW_ARBITRARY_FILES=1
+  if (isTruthyEnv(process.env.OPENCLAW_IMESSAGE_ALLOW_ARBITRARY_FILES)) return;
+
+  const stateDir = resolveOpenclawStateDir();
+  const outboundDir = path.resolve(path.join(stateDir, "media", "outbound"));
+  const resolvedFile = path.resolve(filePath);
+  const outboundPrefix = outboundDir.endsWith(path.sep) ? outboundDir : outboundDir + path.sep;
+
+  if (!resolvedFile.startsWith(outboundPrefix)) {
+    throw new Error(
+      `Refusing to send attachment outside OpenClaw outbound dir. file=${resolvedFile} outboundDir=${outboundDir} (set OPENCLAW_IMESSAGE_ALLOW_ARBITRARY_FILES=1 to override)`,
+    );
+  }
+
+  // Realpath containment blocks symlink-based escapes via parent directories (not just the final file).
+  let realOutboundDir;
+  try {
+    realOutboundDir = await fs.realpath(outboundDir);
+  } catch (err) {
+    const msg = err instanceof Error ? err.message : String(err);
+    throw new Error(`Outbound dir not accessible: ${outboundDir} (${msg})`);
+  }
+
+  let realFile;
+  try {
+    realFile = await fs.realpath(resolvedFile);
+  } catch (err) {
+    const msg = err instanceof Error ? err.message : String(err);
+    throw new Error(`Attachment not accessible: ${resolvedFile} (${msg})`);
+  }
+
+  const realOutboundPrefix = realOutboundDir.endsWith(path.sep) ? realOutboundDir : realOutboundDir + path.sep;
+  if (!realFile.startsWith(realOutboundPrefix)) {
+    throw new Error(
+      `Refusing to send attachment outside OpenClaw outbound dir (realpath). file=${realFile} outboundDir=${realOutboundDir} (set OPENCLAW_IMESSAGE_ALLOW_ARBITRARY_FILES=1 to override)`,
+    );
+  }
+
+  const lst = await fs.lstat(resolvedFile).catch((err) => {
+    const msg = err instanceof Error ? err.message : String(err);
+    throw new Error(`Attachment not accessible: ${resolvedFile} (${msg})`);
+  });
+  if (lst.isSymbolicLink()) throw new Error(`Refusing to send symlink attachment: ${resolvedFile}`);
+
+  const st = await fs.stat(realFile).catch((err) => {
+    const msg = err instanceof Error ? err.message : String(err);
+    throw new Error(`Attachment not accessible: ${realFile} (${msg})`);
+  });
+  if (!st.isFile()) throw new Error(`Refusing to send non-file attachment: ${realFile}`);
+
+  const maxBytesRaw = String(process.env.OPENCLAW_IMESSAGE_MAX_ATTACHMENT_BYTES ?? "").trim();
+  if (maxBytesRaw) {
+    const maxBytes = Number.parseInt(maxBytesRaw, 10);
+    if (Number.isFinite(maxBytes) && maxBytes > 0 && st.size > maxBytes) {
+      throw new Error(`Refusing to send attachment larger than ${maxBytes} bytes: ${realFile} (${st.size} bytes)`);
+    }
+  }
+}
+
+async function stageAttachmentForMessages(filePath) {
+  // iMessage sending is handled by `imagent`, which is sandboxed and cannot read arbitrary paths
+  // like ~/.openclaw/media/outbound. In practice, `imagent` can read user media folders like ~/Pictures,
+  // and Messages will then copy the file into ~/Library/Messages/Attachments as part of the send.
+  const p = String(filePath || "").trim();
+  if (!p) return "";
+
+  const resolved = path.resolve(p);
+  const home = String(process.env.HOME ?? "").trim() || os.homedir();
+  const stageDir = path.join(home, "Pictures", "OpenClawOutbound");
+  const extRaw = path.extname(resolved) || "";
+  const ext = extRaw && extRaw.length <= 12 ? extRaw : "";
+  const rand = Math.random().toString(16).slice(2);
+  const outName = `openclaw-${Date.now()}-${rand}${ext}`;
+  const outPath = path.join(stageDir, outName);
+
+  await fs.mkdir(stageDir, { recursive: true });
+  await fs.copyFile(resolved, outPath);
+  await fs.chmod(outPath, 0o600).catch(() => {});
+
+  // Best-effort cleanup to avoid accumulating lots of staged copies.
+  // Default: delete staged files older than 24 hours.
+  try {
+    const ttlHoursRaw = String(process.env.OPENCLAW_IMESSAGE_STAGE_TTL_HOURS ?? "").trim();
+    const ttlHours = ttlHoursRaw ? Number.parseInt(ttlHoursRaw, 10) : 24;
+    const ttlMs = Number.isFinite(ttlHours) && ttlHours > 0 ? ttlHours * 60 * 60 * 1000 : 24 * 60 * 60 * 1000;
+    const now = Date.now();
+    const entries = await fs.readdir(stageDir, { withFileTypes: true });
+    for (const ent of entries) {
+      if (!ent.isFile()) continue;
+      if (!ent.name.startsWith("openclaw-")) continue;
+      const full = path.join(stageDir, ent.name);
+      const st = await fs.stat(full).catch(() => null);
+      if (!st || !st.isFile()) continue;
+      if (now - st.mtimeMs > ttlMs) {
+        await fs.unlink(full).catch(() => {});
+      }
+    }
+  } catch {
+    // ignore
+  }
+
+  return outPath;
+}
+
+const WATCH_MODES = ["auto", "watch", "poll"];
+// contacts.search page size, and how far ahead of the runner-up a `send` contact match must score.
+const CONTACT_SEARCH_MAX_LIMIT = 50;
+const CONTACT_MATCH_MARGIN = 0.15;
+const CONTACTS_MODES = ["on", "off"];
+const LOG_REDACT_MODES = ["on", "off"];
+
+// The skill's version, from the manifest shipped next to this file.
+async function readRuntimeVersion() {
+  try {
+    const manifest = JSON.parse(await fs.readFile(new URL("./.clawhub.json", import.meta.url), "utf8"));
+    return String(manifest.version ?? "unknown");
+  } catch {
+    return "unknown";
+  }
+}
+
+/**
+ * Core options from explicit settings, named like the `rpc` flags in camelCase (`dbPath`, `watchMode`,
+ * `pollIntervalMs`, `rateLimitMode`, `executorLog`, ...), falling back to the OPENCLAW_IMESSAGE_* env vars
+ * and then the defaults. Throws on an unknown mode.
+ */
+export function resolveCoreOptions(settings = {}, env = process.env) {
+  // OpenClaw only passes `rpc --db`, so every setting except the database also has an env default.
+  const pick = (name, envName) => String(settings[name] ?? (envName ? env[envName] : undefined) ?? "").trim();
+  const dbPath = expandTilde(pick("dbPath")) || `${env.HOME}/Library/Messages/chat.db`;
+  const watchMode = pick("watchMode", "OPENCLAW_IMESSAGE_WATCH_MODE").toLowerCase() || "auto";
+  const contactsMode = pick("contacts", "OPENCLAW_IMESSAGE_CONTACTS").toLowerCase() || "on";
+  const rateLimitMode = pick("rateLimitMode", "OPENCLAW_IMESSAGE_RATE_LIMIT_MODE").toLowerCase() || "queue";
+  const executorMode = pick("executor", "OPENCLAW_IMESSAGE_EXECUTOR").toLowerCase() || "system";
+  // OPENCLAW_IMESSAGE_DEBUG predates log levels and still turns on debug logging.
+  const logLevel =
+    pick("logLevel", "OPENCLAW_IMESSAGE_LOG_LEVEL").toLowerCase() ||
+    (isTruthyEnv(env.OPENCLAW_IMESSAGE_DEBUG) ? "debug" : "info");
+  const logFile = expandTilde(pick("logFile", "OPENCLAW_IMESSAGE_LOG_FILE"));
+  // Naming a log file implies writing to it.
+  const logTarget = pick("logTarget", "OPENCLAW_IMESSAGE_LOG_TARGET").toLowerCase() || (logFile ? "file" : "stderr");
+  const logRedact = pick("logRedact", "OPENCLAW_IMESSAGE_LOG_REDACT").toLowerCase() || "on";
+  if (!WATCH_MODES.includes(watchMode)) {
+    throw new Error(`Invalid --watch-mode: ${watchMode} (expected: ${WATCH_MODES.join("|")})`);
+  }
+  if (!CONTACTS_MODES.includes(contactsMode)) {
+    throw new Error(`Invalid --contacts: ${contactsMode} (expected: ${CONTACTS_MODES.join("|")})`);
+  }
+  if (!RATE_LIMIT_MODES.includes(rateLimitMode)) {
+    throw new Error(`Invalid --rate-limit-mode: ${rateLimitMode} (expected: ${RATE_LIMIT_MODES.join("|")})`);
+  }
+  if (!EXECUTOR_MODES.includes(executorMode)) {
+    throw new Error(`Invalid --executor: ${executorMode} (expected: ${EXECUTOR_MODES.join("|")})`);
+  }
+  if (!LOG_LEVELS.includes(logLevel)) {
+    throw new Error(`Invalid --log-level: ${logLevel} (expected: ${LOG_LEVELS.join("|")})`);
+  }
+  if (!LOG_TARGETS.includes(logTarget)) {
+    throw new Error(`Invalid --log-target: ${logTarget} (expected: ${LOG_TARGETS.join("|")})`);
+  }
+  if (!LOG_REDACT_MODES.includes(logRedact)) {
+    throw new Error(`Invalid --log-redact: ${logRedact} (expected: ${LOG_REDACT_MODES.join("|")})`);
+  }
+  // Adaptive polling runs between these bounds: fastest right after activity, backing off while idle.
+  const minInterval = parsePositiveInt(pick("pollIntervalMs", "OPENCLAW_IMESSAGE_POLL_INTERVAL_MS"), 1000);
+  const maxInterval = Math.max(
+    parsePositiveInt(pick("pollMaxIntervalMs", "OPENCLAW_IMESSAGE_POLL_MAX_INTERVAL_MS"), 10_000),
+    minInterval,
+  );
+  return {
+    dbPath,
+    dbBackend: pick("dbBackend", "OPENCLAW_IMESSAGE_DB_BACKEND") || "auto",
+    watchMode,
+    pollIntervalMs: minInterval,
+    pollMaxIntervalMs: maxInterval,
+    watchDebounceMs: parsePositiveInt(pick("watchDebounceMs", "OPENCLAW_IMESSAGE_WATCH_DEBOUNCE_MS"), 150),
+    sendConfirmTimeoutMs: parsePositiveInt(
+      pick("sendConfirmTimeoutMs", "OPENCLAW_IMESSAGE_SEND_CONFIRM_TIMEOUT_MS"),
+      5000,
+    ),
+    sendVerifyTimeoutMs: parsePositiveInt(
+      pick("sendVerifyTimeoutMs", "OPENCLAW_IMESSAGE_SEND_VERIFY_TIMEOUT_MS"),
+      8000,
+    ),
+    account: pick("account", "OPENCLAW_IMESSAGE_ACCOUNT") || undefined,
+    defaultCountry: pick("defaultCountry", "OPENCLAW_IMESSAGE_DEFAULT_COUNTRY") || undefined,
+    // AddressBook directory or store file (contacts.mjs); defaults to ~/Library/Application Support/AddressBook.
+    contacts: {
+      enabled: contactsMode === "on",
+      path: expandTilde(pick("contactsPath", "OPENCLAW_IMESSAGE_CONTACTS_PATH")) || undefined,
+    },
+    // Sends per minute per handle/chat, sends per minute overall, sends per day; 0 disables a limit.
+    rateLimits: {
+      perChatPerMinute: parseNonNegativeInt(pick("ratePerChat", "OPENCLAW_IMESSAGE_RATE_PER_CHAT"), 20),
+      globalPerMinute: parseNonNegativeInt(pick("rateGlobal", "OPENCLAW_IMESSAGE_RATE_GLOBAL"), 60),
+      dailyCap: parseNonNegativeInt(pick("dailyCap", "OPENCLAW_IMESSAGE_DAILY_CAP"), 1000),
+      mode: rateLimitMode,
+    },
+    // How osascript/sqlite3/sips are run (executors.mjs); dry-run and fixture never touch Messages.app.
+    executor: {
+      mode: executorMode,
+      logFile: expandTilde(pick("executorLog", "OPENCLAW_IMESSAGE_EXECUTOR_LOG")) || undefined,
+    },
+    // Prometheus text file rewritten every intervalMs (metrics.mjs); off when no file is set.
+    metrics: {
+      file: expandTilde(pick("metricsFile", "OPENCLAW_IMESSAGE_METRICS_FILE")) || undefined,
+      intervalMs: parsePositiveInt(pick("metricsIntervalMs", "OPENCLAW_IMESSAGE_METRICS_INTERVAL_MS"), 15_000),
+    },
+    // Leveled JSON-line logs (log.mjs): stderr, or a rotating file under the state dir.
+    logging: {
+      level: logLevel,
+      file:
+        logTarget === "file"
+          ? logFile || path.join(resolveOpenclawStateDir(env), "logs", "imessage.jsonl")
+          : undefined,
+      maxBytes: parsePositiveInt(pick("logMaxBytes", "OPENCLAW_IMESSAGE_LOG_MAX_BYTES"), 5 * 1024 * 1024),
+      redact: logRedact === "on",
+    },
+  };
+}
+
+// Whether a "Not Delivered" iMessage send may be retried over SMS: an explicit value (send param or
+// env) wins, then the account's `smsFallback` setting; on by default.
+function resolveSmsFallback(explicit, accountConfig) {
+  const value = explicit ?? accountConfig?.smsFallback;
+  if (value == null || value === "") return true;
+  if (typeof value === "boolean") return value;
+  return !["0", "false", "no", "off"].includes(String(value).trim().toLowerCase());
+}
+
+// Outbound text formatting (outbound-format.mjs): send params win over the account's settings.
+// params: format "markdown"|"plain", max_chars (0 = never split), chunk_markers;
+// account: markdown, textChunkLimit, chunkMarkers.
+function resolveTextFormat(params, accountConfig) {
+  const format = String(params?.format ?? "").trim().toLowerCase();
+  return {
+    // Opt-in: plain callers may send literal `*`, `_`, `#` or backticks and must get them delivered as typed.
+    markdown: format ? format === "markdown" : accountConfig?.markdown === true,
+    maxChars: parseNonNegativeInt(params?.max_chars ?? accountConfig?.textChunkLimit, 4000),
+    markers: Boolean(params?.chunk_markers ?? accountConfig?.chunkMarkers ?? false),
+  };
+}
+
+// Services to try for a handle send, in order.
+function resolveServicePref(service) {
+  const pref = String(service || "auto").toLowerCase();
+  if (pref === "imessage") return ["iMessage"];
+  if (pref === "sms") return ["SMS"];
+  return ["iMessage", "SMS"];
+}
+
+// Resolves to { service }: the service type that accepted a handle send, or null when Messages picked
+// it (chat targets, generic buddy fallback).
+async function sendViaAppleScript({ target, targetKind, service, text, filePath, executor, log }) {
+  const escapedText = escapeAppleScriptString(text ?? "");
+  const escapedTarget = escapeAppleScriptString(target);
+  const escapedFile = filePath ? escapeAppleScriptString(filePath) : "";
+
+  log.debug("sending via AppleScript", {
+    target_kind: targetKind,
+    service: String(service || "auto"),
+    target,
+    file: filePath ? path.basename(String(filePath)) : undefined,
+  });
+
+  const servicePref = resolveServicePref(service);
+  // What the script sends, for the executor's record (and the fixture executor's fake Messages row).
+  const send = { target, targetKind, text: text ?? "", filePath: filePath || undefined };
+
+  // For group targets, we can't reliably select service; try direct chat addressing.
+  if (targetKind !== "handle") {
+    const scriptParts = [];
+    scriptParts.push(`tell application "Messages"`);
+    scriptParts.push(`set theChat to chat id "${escapedTarget}"`);
+    if (escapedText) scriptParts.push(`send "${escapedText}" to theChat`);
+    if (escapedFile) {
+      // AppleScript is noticeably more reliable with explicit alias coercion for attachments.
+      scriptParts.push(`set theAttachment to POSIX file "${escapedFile}" as alias`);
+      scriptParts.push(`send theAttachment to theChat`);
+    }
+    scriptParts.push(`end tell`);
+    const script = scriptParts.join("\n");
+    await executor.run("osascript", ["-e", script], { timeout: 15_000, send: { ...send, service: null } });
+    return { service: null };
+  }
+
+  // For handles, prefer iMessage then SMS (or forced).
+  let lastErr = null;
+  for (const serviceType of servicePref) {
+    // Creating a text chat and sending to that chat is more reliable for attachments than
+    // sending a file directly to a buddy (which can silently fail for some accounts).
+    const scriptParts = [];
+    scriptParts.push(`tell application "Messages"`);
+    scriptParts.push(`set targetService to 1st service whose service type is ${serviceType}`);
+    scriptParts.push(`set targetBuddy to buddy "${escapedTarget}" of targetService`);
+    scriptParts.push(`set theChat to make new text chat with properties {participants:{targetBuddy}}`);
+    scriptParts.push(`delay 0.1`);
+    if (escapedText) scriptParts.push(`send "${escapedText}" to theChat`);
+    if (escapedFile) {
+      scriptParts.push(`delay 0.1`);
+      scriptParts.push(`set theAttachment to POSIX file "${escapedFile}" as alias`);
+      scriptParts.push(`send theAttachment to theChat`);
+    }
+    scriptParts.push(`end tell`);
+    const script = scriptParts.join("\n");
+    try {
+      await executor.run("osascript", ["-e", script], { timeout: 30_000, send: { ...send, service: serviceType } });
+      return { service: serviceType };
+    } catch (err) {
+      lastErr = err;
+    }
+  }
+
+  // Fallback: attempt buddy sends (text/file) without creating a chat.
+  for (const serviceType of servicePref) {
+    const scriptParts = [];
+    scriptParts.push(`tell application "Messages"`);
+    scriptParts.push(`set targetService to 1st service whose service type is ${serviceType}`);
+    scriptParts.push(`set targetBuddy to buddy "${escapedTarget}" of targetService`);
+    if (escapedText) scriptParts.push(`send "${escapedText}" to targetBuddy`);
+    if (escapedFile) {
+      scriptParts.push(`set theAttachment to POSIX file "${escapedFile}" as alias`);
+      scriptParts.push(`send theAttachment to targetBuddy`);
+    }
+    scriptParts.push(`end tell`);
+    const script = scriptParts.join("\n");
+    try {
+      await executor.run("osascript", ["-e", script], { timeout: 30_000, send: { ...send, service: serviceType } });
+      return { service: serviceType };
+    } catch (err) {
+      lastErr = err;
+    }
+  }
+
+  // Fallback: try generic buddy send without picking a service.
+  try {
+    const scriptParts = [];
+    scriptParts.push(`tell application "Messages"`);
+    if (escapedText) scriptParts.push(`send "${escapedText}" to buddy "${escapedTarget}"`);
+    if (escapedFile) {
+      scriptParts.push(`set theAttachment to POSIX file "${escapedFile}" as alias`);
+      scriptParts.push(`send theAttachment to buddy "${escapedTarget}"`);
+    }
+    scriptParts.push(`end tell`);
+    const script = scriptParts.join("\n");
+    await executor.run("osascript", ["-e", script], { timeout: 15_000, send: { ...send, service: null } });
+    return { service: null };
+  } catch (err) {
+    throw lastErr ?? err;
+  }
+}
+
+function looksLikeChatId(value) {
+  const v = String(value ?? "").trim();
+  if (!v) return false;
+  if (v.includes(";")) return true; // e.g. iMessage;+;chat123...
+  if (v.startsWith("chat")) return true; // group chats often start with chat*
+  return false;
+}
+
+function isOpenclawMediaPlaceholderText(text) {
+  const t = String(text ?? "").trim().toLowerCase();
+  return (
+    t === "<media:image>" ||
+    t === "<media:video>" ||
+    t === "<media:audio>" ||
+    t === "<media:attachment>" ||
+    t === "<media:document>"
+  );
+}
+
+function parseSendTarget(params) {
+  if (params?.chat_id != null) return { kind: "chat_id", value: String(params.chat_id) };
+  if (params?.chat_guid != null) return { kind: "chat_guid", value: String(params.chat_guid) };
+  if (params?.chat_identifier != null) return { kind: "chat_identifier", value: String(params.chat_identifier) };
+  if (params?.to != null) return { kind: "handle", value: String(params.to) };
+  return null;
+}
+
+// Messages writes the outgoing row shortly after osascript returns; poll for it this often.
+const SEND_CONFIRM_POLL_MS = 250;
+
+function buildSentMessageQuery({ target, targetKind, sinceNs }) {
+  // A handle send lands in the one-to-one chat whose chat_identifier is the handle.
+  const chatFilter =
+    targetKind === "handle"
+      ? "(chat.chat_identifier = $target OR handle.id = $target)"
+      : "(chat.guid = $target OR chat.chat_identifier = $target)";
+  const sql = [
+    "SELECT message.ROWID AS id, message.guid AS guid, message.date AS date, message.text AS text,",
+    "hex(message.attributedBody) AS attributed_body, message.service AS service,",
+    "(SELECT group_concat(coalesce(attachment.transfer_name, attachment.filename), char(31))",
+    "FROM message_attachment_join JOIN attachment ON message_attachment_join.attachment_id = attachment.ROWID",
+    "WHERE message_attachment_join.message_id = message.ROWID) AS attachment_names",
+    "FROM message",
+    "JOIN chat_message_join ON message.ROWID = chat_message_join.message_id",
+    "JOIN chat ON chat_message_join.chat_id = chat.ROWID",
+    "LEFT JOIN handle ON message.handle_id = handle.ROWID",
+    `WHERE message.is_from_me = 1 AND message.date >= $since AND ${chatFilter}`,
+    "ORDER BY message.ROWID ASC LIMIT 50",
+  ].join(" ");
+  return { sql, params: { target, since: sinceNs } };
+}
+
+function sentTextMatches(row, text) {
+  const want = String(text).trim();
+  if (String(row.text ?? "").trim() === want) return true;
+  if (row.text || !row.attributed_body) return false;
+  return String(decodeAttributedBody(row.attributed_body)?.text ?? "").trim() === want;
+}
+
+function sentAttachmentMatches(row, fileName) {
+  return String(row.attachment_names ?? "")
+    .split("\u001f")
+    .some((name) => path.basename(name) === fileName);
+}
+
+/**
+ * Wait (up to timeoutMs) for the outgoing rows a send created: one for the text and one for the
+ * attachment. Rows in `claimed` (matched by other sends) are skipped and matches are added to it
+ * right away, so identical back-to-back sends map to distinct rows. Returns the rows found so far
+ * as [{ part: "text"|"attachment", row }], text first.
+ */
+async function findSentMessageRows(db, { target, targetKind, text, fileName, sinceNs, claimed, timeoutMs }) {
+  const query = buildSentMessageQuery({ target, targetKind, sinceNs });
+  const deadline = Date.now() + timeoutMs;
+  let textRow = null;
+  let fileRow = null;
+  for (;;) {
+    const rows = await db.all(query.sql, query.params, { timeout: 3_000 });
+    for (const row of rows) {
+      if (claimed.has(Number(row.id))) continue;
+      if (text && !textRow && sentTextMatches(row, text)) textRow = row;
+      else if (fileName && !fileRow && sentAttachmentMatches(row, fileName)) fileRow = row;
+      else continue;
+      claimed.add(Number(row.id));
+    }
+    if ((!text || textRow) && (!fileName || fileRow)) break;
+    if (Date.now() >= deadline) break;
+    await new Promise((resolve) => setTimeout(resolve, SEND_CONFIRM_POLL_MS));
+  }
+  const parts = [];
+  if (textRow) parts.push({ part: "text", row: textRow });
+  if (fileRow) parts.push({ part: "attachment", row: fileRow });
+  return parts;
+}
+
+/**
+ * Poll the status of just-sent rows until none is still plain "sent" (Messages has marked each one
+ * delivered, read or failed), timeoutMs passes or `signal` aborts; timeoutMs 0 checks once.
+ * Returns guid -> status.
+ */
+async function waitForSendOutcome(db, guids, timeoutMs, { log, signal }) {
+  const deadline = Date.now() + timeoutMs;
+  let statuses = new Map();
+  for (;;) {
+    try {
+      statuses = await lookupMessageStatuses(db, guids, { timeout: 3_000 });
+    } catch (err) {
+      log.warn("could not verify send in chat.db", { error: String(err) });
+      return statuses;
+    }
+    if (!guids.some((guid) => (statuses.get(guid)?.status ?? "sent") === "sent")) return statuses;
+    if (Date.now() >= deadline || signal?.aborted) return statuses;
+    await new Promise((resolve) => setTimeout(resolve, SEND_CONFIRM_POLL_MS));
+  }
+}
+
+// The handle an SMS retry goes to: the target itself, or the other party of a one-to-one chat guid
+// ("iMessage;-;+15551234567"). Group chats have no SMS equivalent we can address.
+function fallbackHandleForTarget(target, targetKind) {
+  if (targetKind === "handle") return target;
+  const match = String(target).match(/^[^;]+;-;(.+)$/);
+  return match ? match[1] : null;
+}
+
+// What the access list sees for a send target. Chat guids carry their chat identifier after the last
+// ";", which for one-to-one chats is the other party's handle.
+function accessSubjectForTarget(target, targetKind) {
+  if (targetKind === "handle") return { handle: target };
+  if (targetKind === "chat_guid") {
+    return {
+      handle: fallbackHandleForTarget(target, "chat") ?? "",
+      chatGuid: target,
+      chatIdentifier: target.slice(target.lastIndexOf(";") + 1),
+    };
+  }
+  if (targetKind === "chat_identifier") return { chatIdentifier: target };
+  return {};
+}
+
+// What the access list sees for an inbound record: the sender, or for our own messages in a
+// one-to-one chat, the other party.
+function accessSubjectForRecord(rec) {
+  const dm = looksLikeHandle(rec.chat_identifier) && !looksLikeChatId(rec.chat_identifier);
+  return {
+    handle: rec.is_from_me ? (dm ? rec.chat_identifier : "") : rec.sender,
+    chatGuid: rec.chat_guid,
+    chatIdentifier: rec.chat_identifier,
+  };
+}
+
+function buildSentMessageRef(row) {
+  return {
+    guid: row.guid,
+    id: Number(row.id),
+    date: String(row.date),
+    created_at: appleNsToIso(row.date),
+    service: row.service || undefined,
+  };
+}
+
+const RATE_LIMIT_MODES = ["queue", "reject"];
+
+function localDayKey(ms) {
+  const d = new Date(ms);
+  return `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, "0")}-${String(d.getDate()).padStart(2, "0")}`;
+}
+
+function msUntilLocalMidnight(ms) {
+  const next = new Date(ms);
+  next.setHours(24, 0, 0, 0);
+  return next.getTime() - ms;
+}
+
+/**
+ * Outbound rate limits: a token bucket per lane (handle/chat) and a global one, each holding up to
+ * `perMinute` tokens refilled continuously over a minute, plus a cap on sends per local calendar day
+ * (persisted to stateFile so restarts don't reset it). A limit of 0 disables it.
+ * tryTake(lane, count) either consumes `count` sends from every applicable limit or, when one can't
+ * cover them, consumes nothing and reports which limit hit and how long until it could. A count larger
+ * than a limit's whole allowance can never pass and is reported with `exceeded: true` instead.
+ * `{ daily: false }` or `{ perMinute: false }` leaves those limits out (queue mode charges the daily cap
+ * when a send is queued and the per-minute buckets as each message leaves the queue).
+ * A successful take that charged the daily cap returns its `day`; refund(day, count) gives those sends
+ * back when they never went out, unless the day has rolled over since.
+ */
+export function createRateLimiter({ perChatPerMinute, globalPerMinute, dailyCap, stateFile, log }) {
+  const laneBuckets = new Map();
+  const globalBucket = { tokens: globalPerMinute, updatedAt: Date.now() };
+  let daily = { day: localDayKey(Date.now()), count: 0 };
+  let persistChain = Promise.resolve();
+
+  function refill(bucket, capacity, now) {
+    bucket.tokens = Math.min(capacity, bucket.tokens + ((now - bucket.updatedAt) * capacity) / 60_000);
+    bucket.updatedAt = now;
+  }
+
+  // Milliseconds until the bucket holds `count` tokens.
+  function bucketWaitMs(bucket, capacity, count) {
+    return bucket.tokens >= count ? 0 : Math.ceil(((count - bucket.tokens) * 60_000) / capacity);
+  }
+
+  function persistDaily() {
+    const snapshot = JSON.stringify(daily);
+    persistChain = persistChain
+      .then(() => writeFileAtomic(stateFile, snapshot))
+      .catch((err) => log.warn("failed to save rate limit state", { file: stateFile, error: String(err) }));
+  }
+
+  return {
+    async load() {
+      if (!dailyCap) return;
+      try {
+        const saved = JSON.parse(await fs.readFile(stateFile, "utf8"));
+        if (saved?.day === daily.day) daily.count = toInteger(saved.count, 0);
+      } catch { /* no state yet */ }
+    },
+
+    tryTake(lane, count = 1, { daily: useDaily = true, perMinute = true } = {}) {
+      const now = Date.now();
+      const today = localDayKey(now);
+      if (daily.day !== today) daily = { day: today, count: 0 };
+      const checkDaily = useDaily && dailyCap > 0;
+      const checkGlobal = perMinute && globalPerMinute > 0;
+      const checkChat = perMinute && perChatPerMinute > 0;
+
+      const capacities = [
+        ["daily", checkDaily, dailyCap],
+        ["global", checkGlobal, globalPerMinute],
+        ["chat", checkChat, perChatPerMinute],
+      ];
+      for (const [limit, applies, capacity] of capacities) {
+        if (applies && count > capacity) return { ok: false, exceeded: true, limit, capacity, count };
+      }
+
+      let laneBucket = null;
+      const blocked = [];
+      if (checkDaily && daily.count + count > dailyCap) {
+        blocked.push({ limit: "daily", retryAfterMs: msUntilLocalMidnight(now) });
+      }
+      if (checkGlobal) {
+        refill(globalBucket, globalPerMinute, now);
+        const waitMs = bucketWaitMs(globalBucket, globalPerMinute, count);
+        if (waitMs) blocked.push({ limit: "global", retryAfterMs: waitMs });
+      }
+      if (checkChat) {
+        laneBucket = laneBuckets.get(lane) ?? { tokens: perChatPerMinute, updatedAt: now };
+        refill(laneBucket, perChatPerMinute, now);
+        laneBuckets.set(lane, laneBucket);
+        const waitMs = bucketWaitMs(laneBucket, perChatPerMinute, count);
+        if (waitMs) blocked.push({ limit: "chat", retryAfterMs: waitMs });
+      }
+      if (blocked.length) {
+        // Report the limit that keeps the send waiting longest.
+        const worst = blocked.reduce((a, b) => (b.retryAfterMs > a.retryAfterMs ? b : a));
+        return { ok: false, ...worst };
+      }
+
+      if (checkGlobal) globalBucket.tokens -= count;
+      if (laneBucket) laneBucket.tokens -= count;
+      // Full buckets carry no information; drop them so the map stays small.
+      for (const [key, bucket] of laneBuckets) {
+        if (key !== lane && bucket.tokens + ((now - bucket.updatedAt) * perChatPerMinute) / 60_000 >= perChatPerMinute) {
+          laneBuckets.delete(key);
+        }
+      }
+      if (checkDaily) {
+        daily.count += count;
+        persistDaily();
+        return { ok: true, day: daily.day };
+      }
+      return { ok: true };
+    },
+
+    refund(day, count = 1) {
+      if (!dailyCap || day !== daily.day || localDayKey(Date.now()) !== day) return;
+      daily.count = Math.max(0, daily.count - count);
+      persistDaily();
+    },
+  };
+}
+
+function rateLimitedError({ limit, retryAfterMs, exceeded, capacity, count }) {
+  if (exceeded) {
+    // Waiting wouldn't help: the send needs more messages than the limit ever allows at once.
+    const period = limit === "daily" ? "per day" : "per minute";
+    return rpcError(
+      `Send needs ${count} messages; the ${limit} limit allows ${capacity} ${period}`,
+      RPC_ERROR_OVER_LIMIT,
+      { limit, capacity, count },
+    );
+  }
+  return rpcError(`Rate limited (${limit} limit); retry after ${retryAfterMs}ms`, RPC_ERROR_RATE_LIMITED, {
+    limit,
+    retry_after_ms: retryAfterMs,
+  });
+}
+
+const QUEUE_RETRY_BASE_MS = 2_000;
+const QUEUE_RETRY_MAX_MS = 60_000;
+const QUEUE_MAX_ATTEMPTS = 6;
+
+// AppleScript failures worth retrying: Messages not running or not reachable yet (-600, -609), an
+// Apple event timeout (-1712), or osascript killed by its execFile timeout.
+function isTransientSendError(err) {
+  if (err?.killed) return true;
+  const detail = `${err?.message ?? ""} ${err?.stderr ?? ""}`;
+  return /\((?:-600|-609|-1712)\)/.test(detail) || /isn.t running/i.test(detail);
+}
+
+/**
+ * Durable outbound queue. Items are grouped in lanes (one per chat): a lane sends strictly in order,
+ * lanes run independently. Transient failures are retried with exponential backoff; every change is
+ * written to filePath so pending sends survive a restart. An item that was mid-send when the process
+ * died comes back with `interrupted_at` set, so `send` can check whether it already went out.
+ * `admit(item)` (optional) gates the first attempt: it returns 0 to go ahead or a delay in ms, after
+ * which the item is offered again (rate limiting). `release(item)` (optional) is called for every item
+ * that leaves the queue without being sent: failed, cancelled, or unusable when restored.
+ */
+function createOutboundQueue({ filePath, send, admit, release, log }) {
+  const items = [];
+  const waiters = new Map();
+  const activeLanes = new Set();
+  const laneTimers = new Map();
+  // How items left the queue, plus transient failures retried, since this process started.
+  const counts = { sent: 0, failed: 0, cancelled: 0, retried: 0 };
+  let persistChain = Promise.resolve();
+  let stopped = false;
+
+  function persist() {
+    const snapshot = JSON.stringify({ version: 1, items });
+    persistChain = persistChain
+      .then(() => writeFileAtomic(filePath, snapshot))
+      .catch((err) => log.warn("failed to save queue", { file: filePath, error: String(err) }));
+    return persistChain;
+  }
+
+  function settle(item, err, result, outcome = err ? "failed" : "sent") {
+    counts[outcome] += 1;
+    const index = items.indexOf(item);
+    if (index >= 0) items.splice(index, 1);
+    persist();
+    if (outcome !== "sent") release?.(item);
+    const waiter = waiters.get(item.id);
+    waiters.delete(item.id);
+    if (waiter) {
+      if (err) waiter.reject(err);
+      else waiter.resolve(result);
+    } else if (err) {
+      // Restored from a previous run; nobody is waiting on the RPC anymore.
+      log.warn("restored send failed", { id: item.id, error: err instanceof Error ? err.message : String(err) });
+    } else {
+      log.info("restored send sent", { id: item.id, confirmed: Boolean(result?.confirmed) });
+    }
+  }
+
+  async function runItem(item) {
+    if (admit && !item.admitted) {
+      const waitMs = admit(item);
+      if (waitMs > 0) {
+        item.state = "pending";
+        item.waiting_for = "rate_limit";
+        item.next_attempt_at = new Date(Date.now() + waitMs).toISOString();
+        persist();
+        return;
+      }
+      item.admitted = true;
+      item.waiting_for = undefined;
+    }
+    const interruptedAt = item.state === "interrupted" ? item.last_attempt_at : null;
+    item.state = "sending";
+    item.attempts += 1;
+    item.last_attempt_at = new Date().toISOString();
+    item.next_attempt_at = null;
+    persist();
+    try {
+      settle(item, null, await send(item.payload, { interruptedAt }));
+    } catch (err) {
+      const message = err instanceof Error ? err.message : String(err);
+      if (!stopped && isTransientSendError(err) && item.attempts < QUEUE_MAX_ATTEMPTS) {
+        const delay = Math.min(QUEUE_RETRY_BASE_MS * 2 ** (item.attempts - 1), QUEUE_RETRY_MAX_MS);
+        item.state = "pending";
+        item.next_attempt_at = new Date(Date.now() + delay).toISOString();
+        item.last_error = message;
+        counts.retried += 1;
+        persist();
+        log.warn("send attempt failed; retrying", {
+          id: item.id,
+          attempt: item.attempts,
+          retry_in_ms: delay,
+          error: message,
+        });
+        return;
+      }
+      settle(item, err);
+    }
+  }
+
+  function pump(lane) {
+    if (stopped || activeLanes.has(lane) || laneTimers.has(lane)) return;
+    const head = items.find((item) => item.lane === lane);
+    if (!head) return;
+    const delay = head.next_attempt_at ? Date.parse(head.next_attempt_at) - Date.now() : 0;
+    if (delay > 0) {
+      laneTimers.set(
+        lane,
+        setTimeout(() => {
+          laneTimers.delete(lane);
+          pump(lane);
+        }, delay),
+      );
+      return;
+    }
+    activeLanes.add(lane);
+    runItem(head).finally(() => {
+      activeLanes.delete(lane);
+      pump(lane);
+    });
+  }
+
+  return {
+    async load() {
+      let saved;
+      try {
+        saved = JSON.parse(await fs.readFile(filePath, "utf8"));
+      } catch {
+        return 0;
+      }
+      for (const item of Array.isArray(saved?.items) ? saved.items : []) {
+        if (!item?.id || !item.lane || !item.payload) {
+          if (item && typeof item === "object") release?.(item);
+          continue;
+        }
+        item.state = item.state === "sending" || item.state === "interrupted" ? "interrupted" : "pending";
+        items.push(item);
+      }
+      for (const lane of new Set(items.map((item) => item.lane))) pump(lane);
+      return items.length;
+    },
+
+    // Resolves/rejects with the send outcome once the item leaves the queue. `chargedDay` records the day
+    // whose daily cap paid for the item, for release().
+    enqueue(lane, payload, { chargedDay } = {}) {
+      const item = {
+        id: `q-${Date.now()}-${Math.random().toString(16).slice(2, 8)}`,
+        lane,
+        state: "pending",
+        attempts: 0,
+        created_at: new Date().toISOString(),
+        last_attempt_at: null,
+        next_attempt_at: null,
+        last_error: null,
+        charged_day: chargedDay ?? null,
+        payload,
+      };
+      items.push(item);
+      const done = new Promise((resolve, reject) => waiters.set(item.id, { resolve, reject }));
+      persist();
+      pump(lane);
+      return { id: item.id, done };
+    },
+
+    list() {
+      return items.map(({ payload, charged_day: _chargedDay, ...item }) => ({
+        ...item,
+        target: payload.target,
+        text_preview: payload.text ? buildTextPreview(payload.text, null, 80) : undefined,
+        file: payload.filePath ? path.basename(payload.filePath) : undefined,
+      }));
+    },
+
+    // In-flight items can't be cancelled: osascript may already have handed them to Messages.
+    cancel(itemId) {
+      const item = items.find((entry) => entry.id === itemId);
+      if (!item) return { cancelled: false, reason: "not_found" };
+      if (item.state === "sending") return { cancelled: false, reason: "in_progress" };
+      settle(item, new Error(`Send cancelled: ${itemId}`), undefined, "cancelled");
+      const timer = laneTimers.get(item.lane);
+      if (timer) {
+        clearTimeout(timer);
+        laneTimers.delete(item.lane);
+      }
+      pump(item.lane);
+      return { cancelled: true };
+    },
+
+    size() {
+      return items.length;
+    },
+
+    stats() {
+      return { ...counts };
+    },
+
+    async stop() {
+      stopped = true;
+      for (const timer of laneTimers.values()) clearTimeout(timer);
+      laneTimers.clear();
+      await persistChain;
+    },
+  };
+}
+
+// Columns shared by every message query (poller, chats.history), as [alias, expression].
+function buildMessageColumns({ includeAttachments }) {
+  const columns = [
+    ["message_id", "message.ROWID"],
+    ["guid", "message.guid"],
+    ["text", "message.text"],
+    ["date", "message.date"],
+    ["is_from_me", "message.is_from_me"],
+    ["sender", "handle.id"],
+    ["chat_id", "chat.ROWID"],
+    ["chat_identifier", "chat.chat_identifier"],
+    ["display_name", "chat.display_name"],
+    ["associated_message_type", "message.associated_message_type"],
+    ["associated_message_guid", "message.associated_message_guid"],
+    ["thread_originator_guid", "message.thread_originator_guid"],
+    ["thread_originator_part", "message.thread_originator_part"],
+    // Hex keeps the typedstream blob intact on both database backends.
+    ["attributed_body", "hex(message.attributedBody)"],
+    ["chat_guid", "chat.guid"],
+    ["chat_style", "chat.style"],
+    ["room_name", "message.cache_roomnames"],
+    ["participants", participantsSubquery("chat.ROWID")],
+  ];
+
+  if (includeAttachments) {
+    columns.push(["filename", "attachment.filename"]);
+    columns.push(["mime_type", "attachment.mime_type"]);
+    columns.push(["attachment_id", "attachment.ROWID"]);
+  }
+
+  return columns;
+}
+
+function buildMessageQuery({ includeAttachments, where, params = {}, orderBy, limit }) {
+  const columns = buildMessageColumns({ includeAttachments });
+
+  const joins = [
+    "FROM message",
+    "LEFT JOIN handle ON message.handle_id = handle.ROWID",
+    "LEFT JOIN chat_message_join ON message.ROWID = chat_message_join.message_id",
+    "LEFT JOIN chat ON chat_message_join.chat_id = chat.ROWID",
+  ];
+
+  if (includeAttachments) {
+    joins.push("LEFT JOIN message_attachment_join ON message.ROWID = message_attachment_join.message_id");
+    joins.push("LEFT JOIN attachment ON message_attachment_join.attachment_id = attachment.ROWID");
+  }
+
+  const sql = [
+    `SELECT ${columns.map(([alias, expr]) => `${expr} as ${alias}`).join(", ")}`,
+    joins.join(" "),
+    where.length ? `WHERE ${where.join(" AND ")}` : "",
+    `ORDER BY ${orderBy}`,
+    limit ? `LIMIT ${limit}` : "",
+  ]
+    .join(" ")
+    .replace(/\s+/g, " ")
+    .trim();
+
+  return { sql, params };
+}
+
+// How far before the cursor date a newly inserted row may be dated and still be delivered. Rows
+// synced from another device get a fresh ROWID but keep their original (earlier) send date.
+const POLL_CURSOR_DATE_GRACE_NS = 86400n * NS_PER_S;
+
+// The poll cursor is { rowId, date }: ROWID is the primary position (unique and monotonic, so
+// messages sharing a timestamp or arriving late are not skipped); the date bounds how stale a new
+// row may be, and alone seeds the cursor when no ROWID is known yet (first run, legacy state).
+function buildPollQuery({ cursor, includeAttachments, includeGroups }) {
+  const params = {};
+  const inner = ["SELECT message.ROWID FROM message WHERE message.is_from_me = 0"];
+  if (cursor.rowId != null) {
+    inner.push("AND message.ROWID > $lastRowId AND message.date > $minDate");
+    params.lastRowId = cursor.rowId;
+    params.minDate = cursor.date > POLL_CURSOR_DATE_GRACE_NS ? cursor.date - POLL_CURSOR_DATE_GRACE_NS : 0n;
+  } else {
+    inner.push("AND message.date > $lastMessageTime");
+    params.lastMessageTime = cursor.date;
+  }
+  // Group chats are opt-in per subscription (watch.subscribe params.groups).
+  if (!includeGroups) inner.push("AND message.cache_roomnames IS NULL");
+  // Limit messages rather than joined rows so a page never splits a message's attachments.
+  inner.push("ORDER BY message.ROWID ASC LIMIT 500");
+
+  return buildMessageQuery({
+    includeAttachments,
+    where: [`message.ROWID IN (${inner.join(" ")})`],
+    params,
+    orderBy: includeAttachments ? "message.ROWID ASC, attachment.ROWID ASC" : "message.ROWID ASC",
+  });
+}
+
+function buildHistoryChatFilter(params, { defaultCountry }) {
+  if (params?.chat_id != null) return { sql: "chat_message_join.chat_id = $chat", value: toInteger(params.chat_id, -1) };
+  if (params?.chat_guid != null) return { sql: "chat.guid = $chat", value: String(params.chat_guid) };
+  // For one-to-one chats, chat_identifier is the other party's handle: look it up normalized, and as
+  // typed in case chat.db kept a non-canonical form.
+  const ident = params?.chat_identifier ?? params?.handle ?? params?.to;
+  if (ident == null) return null;
+  const normalized = normalizeHandle(ident, { defaultCountry });
+  return { sql: "chat.chat_identifier IN ($chat, $chatRaw)", value: normalized, raw: String(ident).trim() };
+}
+
+// Cursors are message ids (ROWID, as returned in `id`); non-numeric strings are treated as timestamps.
+function buildHistoryCursorFilter(value, op, name) {
+  if (value == null || value === "") return null;
+  if (/^\d+$/.test(String(value).trim())) {
+    return {
+      sql: `(message.date, message.ROWID) ${op} (SELECT date, ROWID FROM message WHERE ROWID = $${name})`,
+      value: toInteger(value, 0),
+    };
+  }
+  const ns = parseTimeParam(value);
+  if (ns == null) throw new Error(`Invalid cursor: ${String(value)}`);
+  return { sql: `message.date ${op} $${name}`, value: ns };
+}
+
+const HISTORY_DEFAULT_LIMIT = 50;
+const HISTORY_MAX_LIMIT = 500;
+
+function buildHistoryQuery(params, { includeAttachments, defaultCountry }) {
+  const chatFilter = buildHistoryChatFilter(params, { defaultCountry });
+  if (!chatFilter) throw new Error("Missing required parameter: chat_id|chat_guid|chat_identifier|handle");
+
+  const limit = Math.min(Math.max(toInteger(params.limit, HISTORY_DEFAULT_LIMIT), 1), HISTORY_MAX_LIMIT);
+  const before = buildHistoryCursorFilter(params.before, "<", "before");
+  const after = buildHistoryCursorFilter(params.after, ">", "after");
+  // Page backwards from `before` (or the latest message) unless only `after` is given.
+  const direction = after && !before ? "ASC" : "DESC";
+
+  const sqlParams = { chat: chatFilter.value, limit };
+  if (chatFilter.raw != null) sqlParams.chatRaw = chatFilter.raw;
+  if (before) sqlParams.before = before.value;
+  if (after) sqlParams.after = after.value;
+
+  const inner = [
+    "SELECT message.ROWID FROM message",
+    "JOIN chat_message_join ON message.ROWID = chat_message_join.message_id",
+    "JOIN chat ON chat_message_join.chat_id = chat.ROWID",
+    `WHERE ${chatFilter.sql} AND message.associated_message_type = 0`,
+    before ? `AND ${before.sql}` : "",
+    after ? `AND ${after.sql}` : "",
+    `ORDER BY message.date ${direction}, message.ROWID ${direction}`,
+    "LIMIT $limit",
+  ].join(" ");
+
+  return buildMessageQuery({
+    includeAttachments,
+    where: [`message.ROWID IN (${inner})`, chatFilter.sql],
+    params: sqlParams,
+    orderBy: includeAttachments
+      ? "message.date ASC, message.ROWID ASC, attachment.ROWID ASC"
+      : "message.date ASC, message.ROWID ASC",
+  });
+}
+
+async function buildAttachmentEntry({ filename, mimeType, attachmentId, executor }) {
+  const attachmentPath = normalizeAttachmentPath(filename);
+  if (!attachmentPath) return null;
+
+  let missing = false;
+  let accessError = "";
+  try {
+    await fs.access(attachmentPath);
+  } catch (err) {
+    // Keep attachment metadata even when file isn't directly readable yet.
+    // This allows OpenClaw to emit proper media placeholders and diagnostics.
+    missing = true;
+    accessError = err instanceof Error ? err.message : String(err);
+  }
+
+  let normalizedMime = normalizeMimeType(mimeType, attachmentPath);
+  if (!normalizedMime) normalizedMime = await sniffMimeTypeFromFilePath(attachmentPath);
+
+  const originalPath = attachmentPath;
+  let finalPath = attachmentPath;
+  let finalMime = normalizedMime;
+  if (finalMime === "image/heic" || finalMime === "image/heif") {
+    const converted = await maybeConvertHeicToJpeg(attachmentPath, attachmentId, executor);
+    if (converted) {
+      finalPath = converted;
+      finalMime = "image/jpeg";
+      missing = false;
+    }
+  }
+
+  const fileName = path.basename(String(finalPath || originalPath || ""));
+  return {
+    // Legacy-compatible keys expected by OpenClaw media loaders.
+    id: attachmentId || undefined,
+    path: finalPath || undefined,
+    filename: fileName || undefined,
+    // Extra diagnostics keys.
+    attachment_id: attachmentId || undefined,
+    original_path: originalPath || undefined,
+    mime_type: finalMime || undefined,
+    missing,
+    access_error: accessError || undefined,
+  };
+}
+
+// Tapbacks are rows whose associated_message_type is 2000-2005 (added) or 3000-3005 (removed).
+const REACTION_TYPES = ["love", "like", "dislike", "laugh", "emphasize", "question"];
+
+function parseReactionType(code) {
+  const n = Number(code);
+  if (n >= 2000 && n < 2000 + REACTION_TYPES.length) return { type: REACTION_TYPES[n - 2000], action: "added" };
+  if (n >= 3000 && n < 3000 + REACTION_TYPES.length) return { type: REACTION_TYPES[n - 3000], action: "removed" };
+  return null;
+}
+
+// associated_message_guid is "p:<part>/<guid>" (a part of the target message), "bp:<guid>"
+// (a balloon/plugin message) or a bare guid.
+function parseAssociatedMessageGuid(value) {
+  const raw = String(value ?? "").trim();
+  const partMatch = raw.match(/^p:(\d+)\/(.+)$/);
+  if (partMatch) return { guid: partMatch[2], part_index: Number(partMatch[1]) };
+  if (raw.startsWith("bp:")) return { guid: raw.slice(3), part_index: 0 };
+  return { guid: raw, part_index: 0 };
+}
+
+// Group joined rows (one per attachment) into message records, sorted by date.
+// With includeReactions, tapback rows are kept as records carrying a `reaction` field.
+async function collectMessageRecords(rows, { includeAttachments, includeReactions = false, defaultCountry, executor }) {
+  const byId = new Map();
+
+  for (const row of rows) {
+    if (!row) continue;
+    const messageId = row.message_id == null ? "" : String(row.message_id);
+    const dateStr = row.date == null ? "" : String(row.date);
+    const isFromMe = Number(row.is_from_me) === 1;
+    const sender = String(row.sender ?? "").trim();
+
+    if (!messageId || !dateStr) continue;
+    const associatedType = Number(row.associated_message_type ?? 0);
+    const reaction = associatedType !== 0 && includeReactions ? parseReactionType(associatedType) : null;
+    if (associatedType !== 0 && !reaction) continue; // skip other associated messages (stickers, system rows)
+    if (!isFromMe && !sender) continue; // OpenClaw drops messages without sender
+
+    let dateNs;
+    try {
+      dateNs = BigInt(dateStr);
+    } catch {
+      continue;
+    }
+
+    const existing = byId.get(messageId);
+    if (!existing) {
+      const unixMs = appleNsToUnixMs(dateNs);
+      const createdAt = new Date(Number(unixMs)).toISOString();
+      // Newer macOS releases leave message.text NULL and only populate attributedBody.
+      const body = row.attributed_body ? decodeAttributedBody(row.attributed_body) : null;
+      byId.set(messageId, {
+        message_id: messageId,
+        guid: row.guid ?? "",
+        text: row.text || body?.text || "",
+        date_ns: dateStr,
+        date_ns_big: dateNs,
+        created_at: createdAt,
+        is_from_me: isFromMe,
+        sender: normalizeHandle(sender, { defaultCountry }),
+        chat_id: row.chat_id == null ? undefined : String(row.chat_id),
+        chat_identifier: row.chat_identifier ?? "",
+        display_name: row.display_name ?? "",
+        chat_guid: row.chat_guid ?? "",
+        chat_style: row.chat_style == null ? "" : String(row.chat_style),
+        room_name: row.room_name ?? "",
+        participants: splitParticipants(row.participants).map((handle) => normalizeHandle(handle, { defaultCountry })),
+        mentions: (body?.mentions ?? []).map((mention) => ({
+          ...mention,
+          handle: normalizeHandle(mention.handle, { defaultCountry }),
+        })),
+        links: body?.links ?? [],
+        attachments: [],
+        thread_originator_guid: row.thread_originator_guid ?? "",
+        thread_originator_part: row.thread_originator_part ?? "",
+        reply_to: undefined,
+        reaction: reaction
+          ? { ...reaction, code: associatedType, target: parseAssociatedMessageGuid(row.associated_message_guid) }
+          : undefined,
+      });
+    } else if (!existing.text && row.text) {
+      existing.text = row.text;
+    }
+
+    if (includeAttachments && !reaction) {
+      const attachment = await buildAttachmentEntry({
+        filename: row.filename ?? "",
+        mimeType: row.mime_type ?? "",
+        attachmentId: row.attachment_id == null ? "" : String(row.attachment_id),
+        executor,
+      });
+      if (attachment) byId.get(messageId).attachments.push(attachment);
+    }
+  }
+
+  return Array.from(byId.values()).sort((a, b) =>
+    a.date_ns_big < b.date_ns_big ? -1 : a.date_ns_big > b.date_ns_big ? 1 : 0,
+  );
+}
+
+// Inline replies carry thread_originator_guid; resolve it to the original message with a second query.
+// (reply_to_guid is not used: Messages also sets it on ordinary, non-threaded messages.)
+async function attachReplyTargets(db, records, { timeout, defaultCountry }) {
+  const guids = records.map((rec) => rec.thread_originator_guid).filter(Boolean);
+  if (!guids.length) return;
+  const targets = await lookupMessagesByGuid(db, guids, { timeout });
+  for (const rec of records) {
+    if (!rec.thread_originator_guid) continue;
+    // thread_originator_part looks like "<part>:<start>:<length>".
+    const partIndex = toInteger(String(rec.thread_originator_part).split(":")[0], 0);
+    const target = targets.get(rec.thread_originator_guid);
+    if (target?.sender) target.sender = normalizeHandle(target.sender, { defaultCountry });
+    // The original may be missing (deleted, or not synced to this Mac); keep the guid regardless.
+    rec.reply_to = { guid: rec.thread_originator_guid, part_index: partIndex, ...target };
+  }
+}
+
+async function queryMessageRecords(db, { sql, params }, { includeAttachments, timeout, defaultCountry, executor }) {
+  const rows = await db.all(sql, params, { timeout });
+  const records = await collectMessageRecords(rows, { includeAttachments, defaultCountry, executor });
+  await attachReplyTargets(db, records, { timeout, defaultCountry });
+  return records;
+}
+
+const SEARCH_DEFAULT_LIMIT = 20;
+const SEARCH_MAX_LIMIT = 100;
+const SEARCH_MAX_CONTEXT = 10;
+// Candidate rows fetched per round, and the most rows one call scans before handing back a cursor.
+const SEARCH_BATCH = 200;
+const SEARCH_MAX_SCAN = 5000;
+const SEARCH_DIRECTIONS = ["inbound", "outbound"];
+
+// match "tokens" (default): every whitespace-separated term must occur; "phrase": the query as typed.
+function parseSearchTerms(query, match) {
+  const q = String(query ?? "").trim();
+  if (!q) return [];
+  return match === "phrase" ? [q] : Array.from(new Set(q.split(/\s+/)));
+}
+
+// attributedBody is a blob with NUL bytes, so LIKE can't search it; instr() can, but only
+// case-sensitively. Try the common casings; decoded text is re-checked case-insensitively.
+function blobSearchVariants(term) {
+  const capitalized = term.charAt(0).toUpperCase() + term.slice(1).toLowerCase();
+  return Array.from(new Set([term, term.toLowerCase(), term.toUpperCase(), capitalized]));
+}
+
+function textMatchesTerms(text, terms) {
+  const haystack = String(text ?? "").toLowerCase();
+  return terms.every((term) => haystack.includes(term.toLowerCase()));
+}
+
+// Up to ~120 characters around the first matched term, on one line.
+function buildSearchSnippet(text, terms) {
+  const flat = String(text ?? "").replace(/\uFFFC/g, "").replace(/\s+/g, " ").trim();
+  const lower = flat.toLowerCase();
+  const at = Math.min(...terms.map((term) => lower.indexOf(term.toLowerCase())).filter((i) => i >= 0));
+  if (!Number.isFinite(at) || flat.length <= 120) return flat;
+  const start = Math.max(at - 40, 0);
+  const end = Math.min(start + 120, flat.length);
+  return `${start > 0 ? "…" : ""}${flat.slice(start, end)}${end < flat.length ? "…" : ""}`;
+}
+
+// Candidate ROWIDs for messages.search, newest first: the filters in SQL plus a coarse text match
+// (message.text LIKE, or instr() over attributedBody when text is NULL) that searchMessages re-checks
+// against the decoded text.
+function buildSearchCandidateQuery(params, { terms, defaultCountry }) {
+  const where = ["message.associated_message_type = 0"];
+  const sqlParams = { limit: SEARCH_BATCH };
+
+  const chatFilter = buildHistoryChatFilter(
+    { chat_id: params.chat_id, chat_guid: params.chat_guid, chat_identifier: params.chat_identifier },
+    { defaultCountry },
+  );
+  if (chatFilter) {
+    where.push(chatFilter.sql);
+    sqlParams.chat = chatFilter.value;
+    if (chatFilter.raw != null) sqlParams.chatRaw = chatFilter.raw;
+  }
+  if (params.sender != null) {
+    where.push("message.is_from_me = 0 AND handle.id IN ($sender, $senderRaw)");
+    sqlParams.sender = normalizeHandle(params.sender, { defaultCountry });
+    sqlParams.senderRaw = String(params.sender).trim();
+  }
+  if (params.direction != null) {
+    const direction = String(params.direction).trim().toLowerCase();
+    if (!SEARCH_DIRECTIONS.includes(direction)) {
+      throw new Error(`Invalid direction: ${direction} (expected: ${SEARCH_DIRECTIONS.join("|")})`);
+    }
+    where.push(`message.is_from_me = ${direction === "outbound" ? 1 : 0}`);
+  }
+  for (const [name, op] of [
+    ["since", ">="],
+    ["until", "<="],
+  ]) {
+    if (params[name] == null || params[name] === "") continue;
+    const ns = parseTimeParam(params[name]);
+    if (ns == null) throw new Error(`Invalid ${name}: ${String(params[name])}`);
+    where.push(`message.date ${op} $${name}`);
+    sqlParams[name] = ns;
+  }
+  if (params.has_attachment != null) {
+    const exists =
+      "EXISTS (SELECT 1 FROM message_attachment_join WHERE message_attachment_join.message_id = message.ROWID)";
+    where.push(params.has_attachment ? exists : `NOT ${exists}`);
+  }
+  const before = buildHistoryCursorFilter(params.before, "<", "before");
+  if (before) {
+    where.push(before.sql);
+    sqlParams.before = before.value;
+  }
+
+  terms.forEach((term, i) => {
+    sqlParams[`term${i}`] = likeContains(term);
+    const blobs = blobSearchVariants(term).map((variant, j) => {
+      sqlParams[`term${i}_${j}`] = variant;
+      return `instr(message.attributedBody, CAST($term${i}_${j} AS BLOB)) > 0`;
+    });
+    where.push(
+      `(message.text LIKE $term${i} ESCAPE '\\' OR (COALESCE(message.text, '') = '' AND (${blobs.join(" OR ")})))`,
+    );
+  });
+
+  const sql = [
+    "SELECT message.ROWID AS message_id FROM message",
+    "LEFT JOIN handle ON message.handle_id = handle.ROWID",
+    "JOIN chat_message_join ON message.ROWID = chat_message_join.message_id",
+    "JOIN chat ON chat_message_join.chat_id = chat.ROWID",
+    `WHERE ${where.join(" AND ")}`,
+    "ORDER BY message.date DESC, message.ROWID DESC",
+    "LIMIT $limit",
+  ].join(" ");
+  return { sql, params: sqlParams };
+}
+
+// The `count` messages before or after a message in its chat, oldest first.
+async function queryContextRecords(db, rec, count, direction, { includeAttachments, defaultCountry, timeout, executor }) {
+  const op = direction === "before" ? "<" : ">";
+  const order = direction === "before" ? "DESC" : "ASC";
+  const inner = [
+    "SELECT message.ROWID FROM message",
+    "JOIN chat_message_join ON message.ROWID = chat_message_join.message_id",
+    "WHERE chat_message_join.chat_id = $chat AND message.associated_message_type = 0",
+    `AND (message.date, message.ROWID) ${op} ($date, $rowId)`,
+    `ORDER BY message.date ${order}, message.ROWID ${order}`,
+    "LIMIT $limit",
+  ].join(" ");
+  const query = buildMessageQuery({
+    includeAttachments,
+    where: [`message.ROWID IN (${inner})`],
+    params: {
+      chat: toInteger(rec.chat_id, -1),
+      date: rec.date_ns_big,
+      rowId: toInteger(rec.message_id, 0),
+      limit: count,
+    },
+    orderBy: includeAttachments
+      ? "message.date ASC, message.ROWID ASC, attachment.ROWID ASC"
+      : "message.date ASC, message.ROWID ASC",
+  });
+  return await queryMessageRecords(db, query, { includeAttachments, timeout, defaultCountry, executor });
+}
+
+/**
+ * messages.search: scan candidates newest first in batches, keep those whose decoded text matches,
+ * until `limit` hits or SEARCH_MAX_SCAN rows. Returns { hits: [{ record, snippet, before, after }],
+ * next } where `next` is the `before` cursor to continue from (null once the scan reached the end).
+ */
+async function searchMessages(db, params, { includeAttachments, defaultCountry, executor }) {
+  const match = String(params.match ?? "tokens").trim().toLowerCase();
+  if (!["tokens", "phrase"].includes(match)) throw new Error(`Invalid match: ${match} (expected: tokens|phrase)`);
+  const terms = parseSearchTerms(params.query, match);
+  if (!terms.length) throw new Error("Missing required parameter: query");
+  const limit = Math.min(Math.max(toInteger(params.limit, SEARCH_DEFAULT_LIMIT), 1), SEARCH_MAX_LIMIT);
+  const contextCount = Math.min(Math.max(toInteger(params.context, 0), 0), SEARCH_MAX_CONTEXT);
+
+  const hits = [];
+  let cursor = params.before;
+  let scanned = 0;
+  let exhausted = false;
+  while (hits.length < limit && scanned < SEARCH_MAX_SCAN) {
+    const candidateQuery = buildSearchCandidateQuery({ ...params, before: cursor }, { terms, defaultCountry });
+    const candidates = await db.all(candidateQuery.sql, candidateQuery.params, { timeout: 10_000 });
+    if (!candidates.length) {
+      exhausted = true;
+      break;
+    }
+    scanned += candidates.length;
+    const ids = candidates.map((row) => toInteger(row.message_id, 0));
+    const records = await queryMessageRecords(
+      db,
+      buildMessageQuery({
+        includeAttachments,
+        where: [`message.ROWID IN (${ids.join(", ")})`],
+        orderBy: "message.ROWID ASC",
+      }),
+      { includeAttachments, timeout: 10_000, defaultCountry, executor },
+    );
+    const byId = new Map(records.map((rec) => [toInteger(rec.message_id, 0), rec]));
+    // Walk in candidate order (newest first) so the cursor never skips an unexamined row.
+    for (const id of ids) {
+      cursor = id;
+      const rec = byId.get(id);
+      if (rec && textMatchesTerms(rec.text, terms)) {
+        hits.push({ record: rec, snippet: buildSearchSnippet(rec.text, terms) });
+      }
+      if (hits.length >= limit) break;
+    }
+    if (candidates.length < SEARCH_BATCH && hits.length < limit) {
+      exhausted = true;
+      break;
+    }
+  }
+
+  if (contextCount) {
+    const options = { includeAttachments, defaultCountry, timeout: 5_000, executor };
+    for (const hit of hits) {
+      if (hit.record.chat_id == null) continue;
+      hit.before = await queryContextRecords(db, hit.record, contextCount, "before", options);
+      hit.after = await queryContextRecords(db, hit.record, contextCount, "after", options);
+    }
+  }
+  return { hits, next: exhausted ? null : cursor };
+}
+
+// chat.style: 43 = group chat, 45 = one-to-one.
+const CHAT_STYLE_GROUP = "43";
+const CHAT_STYLE_DIRECT = "45";
+
+function isProbablyGroup({ chatIdentifier, displayName, chatStyle, roomName }) {
+  const style = String(chatStyle ?? "").trim();
+  if (style === CHAT_STYLE_GROUP) return true;
+  if (style === CHAT_STYLE_DIRECT) return false;
+  if (String(roomName ?? "").trim()) return true;
+  const ident = (chatIdentifier ?? "").trim();
+  const name = (displayName ?? "").trim();
+  if (name) return true;
+  if (!ident) return false;
+  if (ident.startsWith("chat")) return true;
+  return false;
+}
+
+function buildMessageObject(row, includeAttachments) {
+  const messageId = row.message_id;
+  const text = sanitizeInboundText(row.text, row.attachments);
+  const dateNs = row.date_ns;
+  const createdAtIso = row.created_at;
+
+  const sender = row.sender;
+  const chatId = row.chat_id;
+  const chatIdentifier = row.chat_identifier;
+  const displayName = row.display_name;
+
+  const group = isProbablyGroup({
+    chatIdentifier,
+    displayName,
+    chatStyle: row.chat_style,
+    roomName: row.room_name,
+  });
+
+  const msg = {
+    id: messageId ? Number(messageId) : undefined,
+    guid: row.guid || undefined,
+    text,
+    // Outgoing rows point handle_id at the recipient; there is no meaningful sender.
+    sender: row.is_from_me ? undefined : sender,
+    chat_id: chatId ? Number(chatId) : undefined,
+    chat_guid: row.chat_guid || undefined,
+    chat_identifier: chatIdentifier,
+    chat_name: displayName || undefined,
+    participants: row.participants?.length ? row.participants : undefined,
+    is_group: group,
+    is_from_me: Boolean(row.is_from_me),
+    created_at: createdAtIso,
+    date: dateNs, // keep raw Apple epoch ns for debugging
+  };
+
+  // Ranges are UTF-16 offsets into the decoded attributedBody text (before attachment placeholder cleanup).
+  if (row.mentions?.length) msg.mentions = row.mentions;
+  if (row.links?.length) msg.links = row.links;
+  if (row.reply_to) msg.reply_to = row.reply_to;
+
+  if (includeAttachments) {
+    msg.attachments = row.attachments;
+  }
+
+  return msg;
+}
+
+function buildReactionObject(row) {
+  const { type, action, code, target } = row.reaction;
+  return {
+    id: row.message_id ? Number(row.message_id) : undefined,
+    guid: row.guid || undefined,
+    type,
+    action,
+    associated_message_type: code,
+    target_guid: target.guid || undefined,
+    part_index: target.part_index,
+    // Messages' own summary, e.g. `Liked "see you at 6"`.
+    text: row.text || undefined,
+    sender: row.is_from_me ? undefined : row.sender,
+    chat_id: row.chat_id ? Number(row.chat_id) : undefined,
+    chat_guid: row.chat_guid || undefined,
+    chat_identifier: row.chat_identifier,
+    chat_name: row.display_name || undefined,
+    is_group: isProbablyGroup({
+      chatIdentifier: row.chat_identifier,
+      displayName: row.display_name,
+      chatStyle: row.chat_style,
+      roomName: row.room_name,
+    }),
+    is_from_me: Boolean(row.is_from_me),
+    created_at: row.created_at,
+    date: row.date_ns,
+  };
+}
+
+export async function createCore(
+  {
+    dbPath,
+    dbBackend,
+    watchMode,
+    pollIntervalMs,
+    pollMaxIntervalMs,
+    watchDebounceMs,
+    sendConfirmTimeoutMs,
+    sendVerifyTimeoutMs,
+    account,
+    defaultCountry: defaultCountryArg,
+    contacts: contactsOptions,
+    rateLimits,
+    executor: executorOptions,
+    logging,
+    metrics: metricsOptions,
+  },
+  { notify: notifyTransport = () => {}, log = createLogger(logging), stateScope } = {},
+) {
+  const startedAt = Date.now();
+  const version = await readRuntimeVersion();
+  // Counters and timings behind `status`, `health` and --metrics-file, since this process started.
+  const pollStats = { total: 0, errors: 0, lastSuccessAt: null, lastDurationMs: null, lastError: null };
+  const notificationCounts = { message: 0, reaction: 0, "message.status": 0, error: 0 };
+  const sendRejections = { rate_limited: 0, blocked: 0 };
+  function notify(method, params) {
+    notificationCounts[method] = (notificationCounts[method] ?? 0) + 1;
+    notifyTransport(method, params);
+  }
+
+  const pollLog = log.child("poll");
+  const sendLog = log.child("send");
+  const accessLog = log.child("access");
+  const rateLog = log.child("rate");
+  const executor = createExecutor({ ...executorOptions, dbPath, dbBackend, log: log.lines() });
+  if (executor.mode !== "system") log.child("executor").info(`${executor.mode}: AppleScript is recorded, not run`);
+  const sqlite3 = (args, opts) => executor.run("sqlite3", args, opts);
+  const db = await openChatDb(dbPath, { backend: dbBackend, sqlite3 });
+  await db.check();
+  const accountConfig = await loadAccountConfig({ account, dbPath });
+  const stateFiles = resolveStateFiles({ accountId: accountConfig.id, dbPath, scope: stateScope });
+  const releaseStateLock = await acquireStateLock(stateFiles.lock, { log: log.child("state") });
+  // Unscoped files are the `rpc` server's; it is the one that carries on from the old shared files.
+  if (!stateScope) await adoptLegacyStateFiles(stateFiles, { log: log.child("state") });
+  // Country for phone numbers typed without a country code (handles.mjs); US when unset.
+  const defaultCountry = defaultCountryArg ?? accountConfig.defaultCountry;
+  // Names for handles from the macOS Contacts stores; null when disabled with --contacts off.
+  const contacts = contactsOptions?.enabled
+    ? createContactsIndex({
+        location: contactsOptions.path,
+        backend: dbBackend,
+        sqlite3,
+        defaultCountry,
+        log: log.lines(),
+      })
+    : null;
+  await contacts?.refresh({ force: true });
+
+  // Adds sender_name and participant_names (handle -> name) to a message, reaction or chat, for the
+  // handles that have a contact.
+  function addContactNames(obj) {
+    if (!contacts) return obj;
+    if (obj.sender) {
+      const name = contacts.lookup(obj.sender)?.name;
+      if (name) obj.sender_name = name;
+    }
+    if (obj.participants?.length) {
+      const names = {};
+      for (const handle of obj.participants) {
+        const name = contacts.lookup(handle)?.name;
+        if (name) names[handle] = name;
+      }
+      if (Object.keys(names).length) obj.participant_names = names;
+    }
+    return obj;
+  }
+  let subscribed = false;
+  // Default to true for compatibility: older gateway callers may omit params.attachments.
+  let includeAttachments = true;
+  // Default to false: group chats are only delivered when the subscriber asks for them.
+  let includeGroups = false;
+  // Default to true: tapbacks use their own notification method, which message-only callers ignore.
+  let includeReactions = true;
+  let subscriptionId = null;
+  let subscribedAt = null;
+  let stopping = null;
+  // ROWIDs already returned by `send`, so a repeated identical send is matched to its own row.
+  const claimedSentRowIds = new Set();
+  // Confirmed outbound messages (guid -> last reported status) watched for message.status changes
+  // until they are read or fail, or age out.
+  const trackedSends = new Map();
+  const TRACKED_SEND_TTL_MS = 24 * 60 * 60 * 1000;
+  const TRACKED_SEND_MAX = 500;
+  // verifyDelivery runs after `send` has returned; stop() aborts the waits and lets them finish.
+  const deliveryChecks = new Set();
+  const deliveryChecksAbort = new AbortController();
+  let pollTimer = null;
+  let watcher = null;
+  let debounceTimer = null;
+  let pollLoopActive = false;
+  let pollInFlight = null;
+  let pollQueued = false;
+  let currentIntervalMs = pollIntervalMs;
+
+  // Durable poll cursor ({ rowId, date }, see buildPollQuery) plus a window of recently emitted
+  // message ids, persisted so restarts neither miss nor re-deliver messages.
+  const STATE_FILE = stateFiles.pollState;
+  const SEEN_WINDOW = 1000;
+  const nowAppleNs = unixMsToAppleNs(BigInt(Date.now()));
+  const cursor = { rowId: null, date: nowAppleNs - 1800n * NS_PER_S }; // 30 min lookback default
+  const knownMessageIds = new Set();
+  try {
+    const stateRaw = await fs.readFile(STATE_FILE, "utf8");
+    const state = JSON.parse(stateRaw);
+    if (state.lastMessageTime) {
+      const saved = BigInt(state.lastMessageTime);
+      // Use saved cursor if it's within last 24 hours, otherwise use 30 min lookback
+      if (saved > nowAppleNs - 86400n * NS_PER_S && saved < nowAppleNs) {
+        cursor.date = saved;
+        // Legacy state files only carry lastMessageTime; the ROWID is picked up on the next poll.
+        if (/^\d+$/.test(String(state.lastRowId ?? ""))) cursor.rowId = BigInt(state.lastRowId);
+        for (const id of Array.isArray(state.seenIds) ? state.seenIds.slice(-SEEN_WINDOW) : []) {
+          knownMessageIds.add(String(id));
+        }
+        pollLog.info("restored cursor from state file", {
+          row_id: cursor.rowId ?? undefined,
+          date: saved,
+          seen: knownMessageIds.size,
+        });
+      }
+    }
+  } catch { /* no state file yet, use default */ }
+  if (cursor.date < 0n) cursor.date = 0n;
+  // ROWIDs only go backwards when chat.db was rebuilt (e.g. restored or re-synced); checked once.
+  let cursorValidated = cursor.rowId == null;
+
+  // Writes are serialized and coalesced: at most one in flight plus one pending, each writing the
+  // latest cursor when it runs.
+  let saveChain = Promise.resolve();
+  let saveQueued = false;
+  function saveState() {
+    if (saveQueued) return saveChain;
+    saveQueued = true;
+    saveChain = saveChain.then(async () => {
+      saveQueued = false;
+      const state = {
+        version: 2,
+        lastRowId: cursor.rowId == null ? undefined : cursor.rowId.toString(),
+        lastMessageTime: cursor.date.toString(),
+        seenIds: Array.from(knownMessageIds).slice(-SEEN_WINDOW),
+        updatedAt: new Date().toISOString(),
+      };
+      try {
+        await writeFileAtomic(STATE_FILE, JSON.stringify(state));
+      } catch (e) { pollLog.warn("failed to save state", { error: String(e) }); }
+    });
+    return saveChain;
+  }
+
+  async function validateCursor() {
+    const row = await db.get("SELECT MAX(ROWID) AS max_rowid FROM message", {}, { timeout: 3_000 });
+    const maxRowId = BigInt(row?.max_rowid ?? 0);
+    if (maxRowId < cursor.rowId) {
+      pollLog.warn("saved rowId is past the end of chat.db; resuming by date", {
+        row_id: cursor.rowId,
+        max_row_id: maxRowId,
+      });
+      cursor.rowId = null;
+    }
+    cursorValidated = true;
+  }
+
+  function trackSentMessage(guid) {
+    trackedSends.set(guid, { status: null, trackedAt: Date.now() });
+    while (trackedSends.size > TRACKED_SEND_MAX) trackedSends.delete(trackedSends.keys().next().value);
+  }
+
+  async function sendAndConfirm({ target, targetKind, service, text, filePath }) {
+    // Allow for the row date being rounded down relative to our clock reading.
+    const sendStartNs = unixMsToAppleNs(BigInt(Date.now())) - NS_PER_S;
+    const sent = await sendViaAppleScript({ target, targetKind, service, text, filePath, executor, log: sendLog });
+
+    // osascript succeeding only means Messages accepted the send; find the rows it wrote.
+    let parts = [];
+    try {
+      parts = await findSentMessageRows(db, {
+        target,
+        targetKind,
+        text: text.trim() ? text : "",
+        fileName: filePath ? path.basename(filePath) : "",
+        sinceNs: sendStartNs,
+        claimed: claimedSentRowIds,
+        timeoutMs: sendConfirmTimeoutMs,
+      });
+    } catch (err) {
+      sendLog.warn("could not confirm send in chat.db", { error: String(err) });
+    }
+    if (claimedSentRowIds.size > 500) {
+      const keep = Array.from(claimedSentRowIds).slice(-250);
+      claimedSentRowIds.clear();
+      for (const rowId of keep) claimedSentRowIds.add(rowId);
+    }
+    return { service: sent.service, parts };
+  }
+
+  /**
+   * Send and confirm the chat.db rows; resolves to the `send` RPC result as soon as they are found.
+   * Messages accepts iMessage sends to numbers without iMessage and only later flags the row (error != 0,
+   * "Not Delivered"). When that would change what we do (the service preference lists SMS after the
+   * service used and smsFallback allows it), the rows are verified in the background (verifyDelivery)
+   * instead of holding the caller for up to sendVerifyTimeoutMs.
+   */
+  async function performSend({ target, targetKind, service, text, filePath, smsFallback }) {
+    const first = await sendAndConfirm({ target, targetKind, service, text, filePath });
+    if (!first.parts.length) {
+      return { ok: true, confirmed: false, messageId: `sent-${Date.now()}`, service: first.service ?? undefined };
+    }
+
+    const servicePref = resolveServicePref(service);
+    const firstService = first.parts[0].row.service || first.service;
+    const nextService = servicePref[servicePref.indexOf(firstService) + 1];
+    const fallbackHandle = smsFallback && nextService === "SMS" ? fallbackHandleForTarget(target, targetKind) : null;
+    const parts = first.parts.sort((a, b) => (a.part === b.part ? 0 : a.part === "text" ? -1 : 1));
+    const statuses = await waitForSendOutcome(db, parts.map(({ row }) => String(row.guid)), 0, { log: sendLog });
+    const refs = parts.map(({ part, row }) => {
+      const status = statuses.get(String(row.guid));
+      return { part, ...buildSentMessageRef(row), status: status?.status ?? "sent", error_code: status?.error_code };
+    });
+
+    const verifying = Boolean(fallbackHandle) && refs.some((ref) => ref.status === "sent" || ref.status === "failed");
+    if (verifying) {
+      const check = verifyDelivery({ parts, refs, service: firstService, fallbackHandle, text, filePath })
+        .catch((err) => sendLog.warn("delivery check failed", { error: String(err) }))
+        .finally(() => deliveryChecks.delete(check));
+      deliveryChecks.add(check);
+    } else {
+      for (const ref of refs) if (ref.status !== "failed") trackSentMessage(ref.guid);
+    }
+    const { part: _part, ...primary } = refs[0];
+    return {
+      // A failed part that is about to be retried over SMS doesn't fail the send.
+      ok: verifying || !refs.some((ref) => ref.status === "failed"),
+      confirmed: true,
+      messageId: primary.guid,
+      ...primary,
+      // Text and attachment are separate rows; list both when the send had both.
+      parts: refs.length > 1 ? refs : undefined,
+      verifying: verifying || undefined,
+    };
+  }
+
+  /**
+   * Waits up to sendVerifyTimeoutMs for the outcome of a confirmed send and resends failed parts over SMS
+   * to `fallbackHandle`. Each failed row is reported as a message.status notification whose `fallback`
+   * names the SMS row that replaced it; the rows that went through are tracked like any other send.
+   */
+  async function verifyDelivery({ parts, refs, service, fallbackHandle, text, filePath }) {
+    const guids = parts.map(({ row }) => String(row.guid));
+    const signal = deliveryChecksAbort.signal;
+    const statuses = await waitForSendOutcome(db, guids, sendVerifyTimeoutMs, { log: sendLog, signal });
+    const failed = parts.filter(({ row }) => statuses.get(String(row.guid))?.status === "failed");
+    for (const { row } of parts) if (!failed.some((entry) => entry.row === row)) trackSentMessage(String(row.guid));
+    if (!failed.length || signal.aborted) return;
+
+    const failedParts = new Set(failed.map(({ part }) => part));
+    sendLog.warn("send not delivered; retrying over SMS", { service, parts: [...failedParts] });
+    let retryParts = [];
+    let error;
+    try {
+      const retry = await sendAndConfirm({
+        target: fallbackHandle,
+        targetKind: "handle",
+        service: "SMS",
+        text: failedParts.has("text") ? text : "",
+        filePath: failedParts.has("attachment") ? filePath : undefined,
+      });
+      retryParts = retry.parts;
+    } catch (err) {
+      error = err instanceof Error ? err.message : String(err);
+    }
+    for (const { row } of retryParts) trackSentMessage(String(row.guid));
+
+    for (const { part, row } of failed) {
+      const guid = String(row.guid);
+      // A retry that can't be confirmed in chat.db has no guid to report.
+      const retried = retryParts.find((entry) => entry.part === part)?.row;
+      notify("message.status", {
+        status: {
+          ...statuses.get(guid),
+          previous_status: refs.find((ref) => ref.guid === guid)?.status,
+          fallback: {
+            from: service,
+            to: "SMS",
+            guid: retried ? String(retried.guid) : undefined,
+            confirmed: Boolean(retried),
+            error,
+          },
+        },
+      });
+    }
+  }
+
+  // Contacts plus recent chat participants, ranked for a name or handle query (contacts.mjs).
+  async function searchContacts(query, { limit }) {
+    await contacts?.refresh();
+    const recentHandles = await listRecentHandles(db, { timeout: 5_000 });
+    return searchPeople(query, { contacts: contacts?.list() ?? [], recentHandles, defaultCountry, limit });
+  }
+
+  // `send` params.contact -> { name, handle }. The best match must beat the next one clearly, and a
+  // contact with several handles resolves to the one most recently messaged; otherwise this throws
+  // with the candidates so the caller can pick one and pass it as `to`.
+  async function resolveContactTarget(contact) {
+    const query = String(contact ?? "").trim();
+    if (!query) throw new Error("Missing required parameter: contact");
+    const candidates = await searchContacts(query, { limit: 5 });
+    const [top, next] = candidates;
+    const unresolved = (message, list) =>
+      rpcError(message, RPC_ERROR_CONTACT_UNRESOLVED, { contact: query, candidates: list });
+    if (!top) throw unresolved(`No contact matches "${query}"`, candidates);
+    if (next && top.score - next.score < CONTACT_MATCH_MARGIN) {
+      throw unresolved(`Contact "${query}" is ambiguous (${candidates.length} candidates)`, candidates);
+    }
+    const handle = top.handles.length === 1 || top.handles[0].last_message_at ? top.handles[0] : null;
+    if (!handle) throw unresolved(`Contact "${top.name}" has ${top.handles.length} handles; pass one as "to"`, [top]);
+    return { name: top.name, handle: handle.handle };
+  }
+
+  let sendIntake = Promise.resolve();
+
+  // Validate a send request, resolve its target, format its text and stage its attachment, then queue
+  // it: one queue item per text chunk, with the attachment going out with the last chunk.
+  // Resolves to { queued: [{ id, done }], contact } (contact when the target was given as `contact`).
+  async function enqueueSend(params) {
+    let target = parseSendTarget(params);
+    let text = String(params.text ?? "");
+    const filePath = params.file ? normalizeAttachmentPath(params.file) : "";
+
+    if (!target && params.contact == null) {
+      throw new Error("Missing required parameter: to|chat_id|chat_guid|chat_identifier|contact");
+    }
+    if (!text.trim() && !filePath) {
+      throw new Error("Missing required parameter: text or file");
+    }
+    // An explicit `to`/`chat_*` wins; `contact` is a name (or handle) to look up.
+    let contact;
+    if (!target) {
+      contact = await resolveContactTarget(params.contact);
+      target = { kind: "handle", value: contact.handle };
+    }
+
+    // OpenClaw uses placeholder text (e.g. "<media:image>") when sending attachments without a user-supplied
+    // caption. Humans don't need (or want) that string.
+    if (filePath && isOpenclawMediaPlaceholderText(text)) {
+      text = "";
+    }
+
+    if (filePath) await assertSafeOutboundFilePath(filePath);
+
+    let sendTargetKind = target.kind;
+    let sendTargetValue = target.value;
+
+    // Some OpenClaw code passes chat_identifier even for DMs, where chat_identifier is just the handle.
+    // Normalize those to "handle" so AppleScript buddy/chat creation can resolve them.
+    if (sendTargetKind === "chat_identifier" && looksLikeHandle(sendTargetValue) && !looksLikeChatId(sendTargetValue)) {
+      sendTargetKind = "handle";
+    }
+    // "(555) 123-4567" and "+15551234567" must be the same buddy, and match handle.id in chat.db.
+    if (sendTargetKind === "handle") sendTargetValue = normalizeHandle(sendTargetValue, { defaultCountry });
+
+    // Best-effort: when OpenClaw sends to chat_id (SQLite ROWID), map it to a stable identifier.
+    if (sendTargetKind === "chat_id" && /^\d+$/.test(sendTargetValue)) {
+      const mapped = await lookupChatTargetsFromRowId(db, sendTargetValue).catch(() => null);
+      if (mapped?.guid && looksLikeChatId(mapped.guid)) {
+        sendTargetKind = "chat_guid";
+        sendTargetValue = mapped.guid;
+      } else if (mapped?.chat_identifier) {
+        sendTargetValue = mapped.chat_identifier;
+        sendTargetKind =
+          looksLikeHandle(sendTargetValue) && !looksLikeChatId(sendTargetValue) ? "handle" : "chat_identifier";
+        if (sendTargetKind === "handle") sendTargetValue = normalizeHandle(sendTargetValue, { defaultCountry });
+      }
+    }
+
+    await accessList.refresh();
+    const access = accessList.check(accessSubjectForTarget(sendTargetValue, sendTargetKind));
+    if (!access.allowed) {
+      accessLog.info("blocked send", { target_kind: sendTargetKind, target: sendTargetValue, rule: access.rule });
+      sendRejections.blocked += 1;
+      throw rpcError(`Recipient blocked by access list (${access.rule})`, RPC_ERROR_BLOCKED, {
+        target: sendTargetValue,
+        rule: access.rule,
+      });
+    }
+
+    const stagedFilePath = filePath
+      ? await stageAttachmentForMessages(filePath).catch((err) => {
+          sendLog.warn("staging failed; sending original path", { error: String(err) });
+          return filePath;
+        })
+      : undefined;
+
+    const texts = formatOutboundText(text, resolveTextFormat(params, accountConfig));
+    if (!texts.length) texts.push("");
+
+    const targetKind = sendTargetKind === "handle" ? "handle" : "chat";
+    const lane = `${targetKind}:${sendTargetValue}`;
+    const service = params.service ?? accountConfig.service;
+    const smsFallback = resolveSmsFallback(params.sms_fallback ?? process.env.OPENCLAW_IMESSAGE_SMS_FALLBACK, accountConfig);
+    // In reject mode the limits are checked (and consumed) here for all chunks at once, so callers hear
+    // about it right away. In queue mode only the daily cap is: holding a send until midnight would keep
+    // the caller waiting for hours, so it fails now, and the queue holds each chunk for the per-minute limits.
+    const verdict = rateLimiter.tryTake(lane, texts.length, { perMinute: rateLimits.mode === "reject" });
+    if (!verdict.ok) {
+      rateLog.info("rejected send", {
+        lane,
+        limit: verdict.limit,
+        retry_after_ms: verdict.retryAfterMs,
+        chunks: texts.length,
+      });
+      sendRejections.rate_limited += 1;
+      throw rateLimitedError(verdict);
+    }
+    // Each chunk carries its share of the daily charge, given back if that chunk never goes out.
+    const queued = texts.map((chunk, i) =>
+      outboundQueue.enqueue(
+        lane,
+        {
+          target: sendTargetValue,
+          targetKind,
+          service,
+          text: chunk,
+          filePath: i === texts.length - 1 ? stagedFilePath : undefined,
+          smsFallback,
+        },
+        { chargedDay: verdict.day },
+      ),
+    );
+    return { queued, contact };
+  }
+
+  // Allow/deny lists, re-read whenever the file changes.
+  const accessList = createAccessList({
+    filePath: path.join(resolveOpenclawStateDir(), "imessage-access.json"),
+    defaultCountry,
+    log: log.lines(),
+  });
+  await accessList.refresh({ force: true });
+
+  const rateLimiter = createRateLimiter({
+    ...rateLimits,
+    stateFile: stateFiles.rateLimit,
+    log: rateLog,
+  });
+  await rateLimiter.load();
+
+  // Sends go through the durable queue, one lane per chat so replies to a chat stay in order.
+  const outboundQueue = createOutboundQueue({
+    filePath: stateFiles.outboundQueue,
+    log: log.child("queue"),
+    admit:
+      rateLimits.mode === "queue"
+        ? (item) => {
+            // The daily cap was charged when the send was queued.
+            const verdict = rateLimiter.tryTake(item.lane, 1, { daily: false });
+            if (verdict.ok) return 0;
+            rateLog.info("holding send", { id: item.id, limit: verdict.limit, retry_after_ms: verdict.retryAfterMs });
+            return verdict.retryAfterMs;
+          }
+        : undefined,
+    release: (item) => {
+      if (item.charged_day) rateLimiter.refund(item.charged_day, 1);
+    },
+    send: async (payload, { interruptedAt }) => {
+      // The previous process died mid-send: if Messages already wrote the rows, don't send twice.
+      if (interruptedAt) {
+        const parts = await findSentMessageRows(db, {
+          ...payload,
+          text: payload.text.trim() ? payload.text : "",
+          fileName: payload.filePath ? path.basename(payload.filePath) : "",
+          sinceNs: unixMsToAppleNs(BigInt(Date.parse(interruptedAt))) - NS_PER_S,
+          claimed: claimedSentRowIds,
+          timeoutMs: 0,
+        }).catch(() => []);
+        if (parts.length) {
+          const primary = buildSentMessageRef(parts[0].row);
+          return { ok: true, confirmed: true, recovered: true, messageId: primary.guid, ...primary };
+        }
+      }
+      return await performSend(payload);
+    },
+  });
+  const restoredSends = await outboundQueue.load();
+  if (restoredSends) log.child("queue").info("restored pending sends", { count: restoredSends });
+
+  // Emits message.status for tracked sends whose state changed; returns the number emitted.
+  async function pollSendStatuses() {
+    const now = Date.now();
+    for (const [guid, entry] of trackedSends) {
+      if (now - entry.trackedAt > TRACKED_SEND_TTL_MS) trackedSends.delete(guid);
+    }
+    if (!trackedSends.size) return 0;
+
+    let statuses;
+    try {
+      statuses = await lookupMessageStatuses(db, Array.from(trackedSends.keys()), { timeout: 3_000 });
+    } catch (err) {
+      pollLog.warn("message status lookup failed", { error: String(err) });
+      return 0;
+    }
+    let emitted = 0;
+    for (const [guid, entry] of trackedSends) {
+      const current = statuses.get(guid);
+      if (!current || current.status === entry.status) continue;
+      notify("message.status", { status: { ...current, previous_status: entry.status ?? undefined } });
+      emitted++;
+      entry.status = current.status;
+      if (current.status === "read" || current.status === "failed") trackedSends.delete(guid);
+    }
+    return emitted;
+  }
+
+  // Returns the number of records seen, so the scheduler can tell activity from idle polls.
+  async function pollOnce() {
+    if (!subscribed) return 0;
+    pollLog.debug("polling", { row_id: cursor.rowId ?? undefined, date: cursor.date });
+    const pollStartedAt = performance.now();
+    pollStats.total += 1;
+
+    let records;
+    // Where the cursor moves once this batch has been emitted: past every fetched row, including ones
+    // skipped below (reactions, sender-less rows), so they are not re-queried. Until then a failure below
+    // leaves the cursor where it was and the next poll fetches the same rows again.
+    let next;
+    let advanced = false;
+    try {
+      // Before the batch is fetched, so neither lookup can cost a fetched batch.
+      await accessList.refresh();
+      try {
+        await contacts?.refresh();
+      } catch (err) {
+        // Names only add detail to messages: keep the cached ones rather than failing the poll.
+        pollLog.warn("contacts refresh failed; keeping cached names", { error: String(err) });
+      }
+      if (!cursorValidated) await validateCursor();
+      next = { ...cursor };
+      const { sql, params } = buildPollQuery({ cursor, includeAttachments, includeGroups });
+      const rows = await db.all(sql, params, { timeout: 3_000 });
+      for (const row of rows) {
+        const rowId = toInteger(row?.message_id, 0);
+        if (rowId > 0 && (next.rowId == null || BigInt(rowId) > next.rowId)) {
+          next.rowId = BigInt(rowId);
+          advanced = true;
+        }
+        if (/^\d+$/.test(String(row?.date ?? "")) && BigInt(row.date) > next.date) {
+          next.date = BigInt(row.date);
+          advanced = true;
+        }
+      }
+      records = await collectMessageRecords(rows, {
+        includeAttachments,
+        includeReactions,
+        defaultCountry,
+        executor,
+      });
+      try {
+        await attachReplyTargets(db, records, { timeout: 3_000, defaultCountry });
+      } catch (err) {
+        // reply_to only adds detail: a busy chat.db on this second query must not hold back the batch.
+        pollLog.warn("reply target lookup failed; emitting without reply_to", { error: String(err) });
+      }
+    } catch (err) {
+      pollStats.errors += 1;
+      pollStats.lastError = { message: String(err), at: new Date().toISOString() };
+      // Report watch errors as notifications (matching imsg rpc convention).
+      notify("error", { error: String(err) });
+      return 0;
+    }
+
+    for (const rec of records) {
+      if (knownMessageIds.has(rec.message_id)) continue;
+      knownMessageIds.add(rec.message_id);
+
+      // Keep memory bounded.
+      if (knownMessageIds.size > 2000) {
+        // Evict oldest-ish by recreating set from the tail. Order in Set is insertion order.
+        const keep = Array.from(knownMessageIds).slice(-1500);
+        knownMessageIds.clear();
+        for (const id of keep) knownMessageIds.add(id);
+      }
+
+      const access = accessList.check(accessSubjectForRecord(rec));
+      if (!access.allowed) {
+        accessLog.info(`blocked ${rec.reaction ? "reaction" : "message"}`, {
+          id: rec.message_id,
+          from: rec.is_from_me ? "me" : rec.sender,
+          chat: rec.chat_guid || rec.chat_identifier,
+          rule: access.rule,
+        });
+        continue;
+      }
+
+      if (rec.reaction) {
+        const reaction = addContactNames(buildReactionObject(rec));
+        notify("reaction", { reaction });
+        continue;
+      }
+      const msg = addContactNames(buildMessageObject(rec, includeAttachments));
+      notify("message", { message: msg });
+    }
+    if (advanced) {
+      Object.assign(cursor, next);
+      saveState();
+    }
+
+    const statusCount = await pollSendStatuses();
+    pollStats.lastSuccessAt = Date.now();
+    pollStats.lastDurationMs = Math.round(performance.now() - pollStartedAt);
+    return records.length + statusCount;
+  }
+
+  // Polls never overlap: a trigger during an in-flight poll queues exactly one follow-up poll.
+  function runPoll() {
+    if (pollInFlight) {
+      pollQueued = true;
+      return pollInFlight;
+    }
+    pollInFlight = pollOnce()
+      .then((count) => {
+        // Adaptive interval: snap back to the fastest rate after activity, back off while idle.
+        currentIntervalMs = count > 0 ? pollIntervalMs : Math.min(Math.round(currentIntervalMs * 1.5), pollMaxIntervalMs);
+      })
+      .catch((err) => {
+        notify("error", { error: String(err) });
+      })
+      .finally(() => {
+        pollInFlight = null;
+        if (pollQueued && subscribed) {
+          pollQueued = false;
+          runPoll();
+        }
+      });
+    return pollInFlight;
+  }
+
+  function scheduleNextPoll() {
+    if (pollTimer) clearTimeout(pollTimer);
+    pollTimer = null;
+    if (!subscribed || !pollLoopActive) return;
+    // With a live watcher the timer is only a safety net for missed file events.
+    const delay = watcher ? pollMaxIntervalMs : currentIntervalMs;
+    pollTimer = setTimeout(() => {
+      pollTimer = null;
+      runPoll().finally(scheduleNextPoll);
+    }, delay);
+  }
+
+  function onDbFileEvent() {
+    if (debounceTimer) clearTimeout(debounceTimer);
+    debounceTimer = setTimeout(() => {
+      debounceTimer = null;
+      runPoll().finally(scheduleNextPoll);
+    }, watchDebounceMs);
+  }
+
+  function startWatcher() {
+    if (watcher || watchMode === "poll") return;
+    // Watch the directory rather than the files: chat.db-wal is created and removed by Messages.
+    // chat.db-shm is ignored because readers (including us) touch it.
+    const dbDir = path.dirname(dbPath);
+    const dbBase = path.basename(dbPath);
+    const relevant = new Set([dbBase, `${dbBase}-wal`]);
+    try {
+      watcher = fsWatch(dbDir, { persistent: false }, (_event, filename) => {
+        if (!filename || relevant.has(String(filename))) onDbFileEvent();
+      });
+      watcher.on("error", (err) => {
+        pollLog.warn("file watcher failed; falling back to interval polling", { error: String(err) });
+        stopWatcher();
+        scheduleNextPoll();
+      });
+      pollLog.debug("watching for changes", { dir: dbDir, files: Array.from(relevant) });
+    } catch (err) {
+      watcher = null;
+      if (watchMode === "watch") {
+        notify("error", { error: `watch failed: ${String(err)}` });
+      }
+      pollLog.warn("cannot watch database dir; using interval polling", { dir: dbDir, error: String(err) });
+    }
+  }
+
+  function stopWatcher() {
+    if (debounceTimer) clearTimeout(debounceTimer);
+    debounceTimer = null;
+    try {
+      watcher?.close();
+    } catch {
+      // ignore
+    }
+    watcher = null;
+  }
+
+  function startPolling() {
+    if (pollLoopActive) return;
+    pollLoopActive = true;
+    currentIntervalMs = pollIntervalMs;
+    startWatcher();
+    runPoll().finally(scheduleNextPoll);
+  }
+
+  function stopPolling() {
+    pollLoopActive = false;
+    stopWatcher();
+    if (pollTimer) clearTimeout(pollTimer);
+    pollTimer = null;
+  }
+
+  // Same question setup.sh asks with `sqlite3 chat.db "SELECT 1;"`, but reading a table, so a Full Disk
+  // Access grant revoked after startup shows up too.
+  async function checkDatabase() {
+    try {
+      const rows = await db.all("SELECT MAX(ROWID) AS max_row_id FROM message", {}, { timeout: 3_000 });
+      return { ok: true, path: dbPath, max_row_id: toInteger(rows[0]?.max_row_id, 0) };
+    } catch (err) {
+      return { ok: false, path: dbPath, error: String(err) };
+    }
+  }
+
+  // Messages.app doesn't have to be running (a send launches it), so `running: false` isn't a failure;
+  // `ok: false` means osascript itself failed. Not asked under the dry-run/fixture executors.
+  async function checkMessagesApp() {
+    if (executor.mode !== "system") return { ok: true, running: null, skipped: `${executor.mode} executor` };
+    try {
+      const { stdout } = await executor.run("osascript", ["-e", 'application "Messages" is running'], {
+        timeout: 5_000,
+      });
+      return { ok: true, running: String(stdout).trim() === "true" };
+    } catch (err) {
+      return { ok: false, running: null, error: String(err) };
+    }
+  }
+
+  // A subscription counts as stuck once it has gone several backstop intervals without a successful poll.
+  function checkPoller() {
+    const staleAfterMs = Math.max(3 * pollMaxIntervalMs, 60_000);
+    const since = pollStats.lastSuccessAt ?? subscribedAt;
+    const stale = subscribed && since != null && Date.now() - since > staleAfterMs;
+    return {
+      ok: !stale,
+      subscribed,
+      last_success_at: pollStats.lastSuccessAt == null ? null : new Date(pollStats.lastSuccessAt).toISOString(),
+      stale_after_ms: staleAfterMs,
+      last_error: pollStats.lastError?.message,
+    };
+  }
+
+  async function buildHealth() {
+    const [database, messagesApp] = await Promise.all([checkDatabase(), checkMessagesApp()]);
+    const poller = checkPoller();
+    return {
+      ok: database.ok && messagesApp.ok && poller.ok,
+      version,
+      checks: { database, messages_app: messagesApp, poller },
+    };
+  }
+
+  function buildStatus() {
+    return {
+      version,
+      pid: process.pid,
+      started_at: new Date(startedAt).toISOString(),
+      uptime_ms: Date.now() - startedAt,
+      db_path: dbPath,
+      executor: executor.mode,
+      watch: {
+        mode: watchMode,
+        subscribed,
+        subscription: subscriptionId,
+        watching: Boolean(watcher),
+        interval_ms: currentIntervalMs,
+      },
+      cursor: {
+        row_id: cursor.rowId == null ? null : cursor.rowId.toString(),
+        date: cursor.date.toString(),
+        at: appleNsToIso(cursor.date) ?? null,
+      },
+      poll: {
+        total: pollStats.total,
+        errors: pollStats.errors,
+        last_success_at: pollStats.lastSuccessAt == null ? null : new Date(pollStats.lastSuccessAt).toISOString(),
+        last_duration_ms: pollStats.lastDurationMs,
+        last_error: pollStats.lastError,
+      },
+      notifications: { ...notificationCounts },
+      queue: { depth: outboundQueue.size() },
+      sends: { ...outboundQueue.stats(), ...sendRejections, tracked: trackedSends.size },
+    };
+  }
+
+  // --metrics-file: rewritten every interval from the same status and health results the RPCs return.
+  const metricsLog = log.child("metrics");
+  let metricsTimer = null;
+  let metricsWrite = null;
+  function writeMetrics() {
+    metricsWrite = buildHealth()
+      .then((health) => writeFileAtomic(metricsOptions.file, renderPrometheusMetrics(buildStatus(), health)))
+      .catch((err) => metricsLog.warn("failed to write metrics", { file: metricsOptions.file, error: String(err) }))
+      .finally(() => {
+        metricsWrite = null;
+      });
+    return metricsWrite;
+  }
+  function scheduleMetrics() {
+    metricsTimer = setTimeout(() => {
+      metricsTimer = null;
+      writeMetrics().finally(() => {
+        if (!stopping) scheduleMetrics();
+      });
+    }, metricsOptions.intervalMs);
+    // Metrics alone shouldn't keep an in-process client's host alive.
+    metricsTimer.unref?.();
+  }
+  if (metricsOptions?.file) {
+    writeMetrics();
+    scheduleMetrics();
+  }
+
+  // Runs one RPC method: resolves with its `result`, or throws (see rpcError for codes and data).
+  async function request(method, rawParams, { onQueued } = {}) {
+    const params = rawParams ?? {};
+    switch (method) {
+      case "chats.list": {
+        // A phone number query should find the chat however the number was typed.
+        const query = looksLikeHandle(params.query) ? normalizeHandle(params.query, { defaultCountry }) : params.query;
+        await contacts?.refresh();
+        const result = await listChats(db, { ...params, query });
+        for (const chat of result.chats) addContactNames(chat);
+        return result;
+      }
+
+      case "chats.history": {
+        const wantsAttachments =
+          params && Object.prototype.hasOwnProperty.call(params, "attachments") ? Boolean(params.attachments) : true;
+        const records = await queryMessageRecords(
+          db,
+          buildHistoryQuery(params, { includeAttachments: wantsAttachments, defaultCountry }),
+          { includeAttachments: wantsAttachments, timeout: 5_000, defaultCountry, executor },
+        );
+        await contacts?.refresh();
+        const messages = records.map((rec) => addContactNames(buildMessageObject(rec, wantsAttachments)));
+        return {
+          messages,
+          count: messages.length,
+          // Pass cursor.before as `before` to page further back, cursor.after as `after` to page forward.
+          cursor: {
+            before: messages.length ? messages[0].id : null,
+            after: messages.length ? messages[messages.length - 1].id : null,
+          },
+        };
+      }
+
+      case "contacts.search": {
+        const query = String(params.query ?? "").trim();
+        if (!query) throw new Error("Missing required parameter: query");
+        const limit = Math.min(Math.max(toInteger(params.limit, 10), 1), CONTACT_SEARCH_MAX_LIMIT);
+        const results = await searchContacts(query, { limit });
+        return { results, count: results.length };
+      }
+
+      case "messages.search": {
+        const wantsAttachments = params.attachments == null ? true : Boolean(params.attachments);
+        const { hits, next } = await searchMessages(db, params, {
+          includeAttachments: wantsAttachments,
+          defaultCountry,
+          executor,
+        });
+        await contacts?.refresh();
+        const toMessage = (rec) => addContactNames(buildMessageObject(rec, wantsAttachments));
+        const results = hits.map((hit) => ({
+          message: toMessage(hit.record),
+          snippet: hit.snippet,
+          context: hit.before ? { before: hit.before.map(toMessage), after: hit.after.map(toMessage) } : undefined,
+        }));
+        // Pass cursor.before as `before` for the next page; null once there is nothing older to scan.
+        return { results, count: results.length, cursor: { before: next } };
+      }
+
+      case "messages.status": {
+        const guids = Array.isArray(params.guids) ? params.guids : params.guid != null ? [params.guid] : [];
+        if (!guids.length) throw new Error("Missing required parameter: guid|guids");
+        const found = await lookupMessageStatuses(db, guids, { timeout: 5_000 });
+        const statuses = guids.map((guid) => found.get(String(guid).trim()) ?? { guid: String(guid), status: "not_found" });
+        return { statuses, count: statuses.length };
+      }
+
+      case "watch.subscribe": {
+        const wantsAttachments =
+          params && Object.prototype.hasOwnProperty.call(params, "attachments")
+            ? Boolean(params.attachments)
+            : true;
+        const wantsGroups = Boolean(params?.groups);
+        const wantsReactions = params?.reactions == null ? true : Boolean(params.reactions);
+        log.child("rpc").debug("watch.subscribe", {
+          attachments: wantsAttachments,
+          groups: wantsGroups,
+          reactions: wantsReactions,
+        });
+        includeAttachments = wantsAttachments;
+        includeGroups = wantsGroups;
+        includeReactions = wantsReactions;
+        if (!subscribed) subscribedAt = Date.now();
+        subscribed = true;
+        subscriptionId = subscriptionId ?? `sub-${Date.now()}`;
+        startPolling();
+        return { subscription: subscriptionId };
+      }
+
+      case "watch.unsubscribe": {
+        subscribed = false;
+        stopPolling();
+        return { ok: true };
+      }
+
+      case "send": {
+        // Requests are handled concurrently, but sends must enter the queue in arrival order, so
+        // intake (target lookup, staging) runs one request at a time.
+        const intake = sendIntake.then(() => enqueueSend(params));
+        sendIntake = intake.catch(() => {});
+        const { contact, queued } = await intake;
+        const queueIds = queued.map((entry) => entry.id);
+        onQueued?.(queueIds);
+        // `wait: false` returns as soon as the send is queued; the outcome is only logged.
+        if (params.wait === false) {
+          for (const entry of queued) entry.done.catch(() => {});
+          return {
+            ok: true,
+            queued: true,
+            queue_id: queueIds[0],
+            queue_ids: queueIds.length > 1 ? queueIds : undefined,
+            contact,
+          };
+        }
+        const results = await Promise.all(queued.map((entry) => entry.done));
+        if (results.length === 1) {
+          return { ...results[0], queue_id: queueIds[0], contact };
+        }
+        // A long reply went out as several messages: report the first, list them all in `chunks`.
+        return {
+          ...results[0],
+          ok: results.every((result) => result.ok),
+          confirmed: results.every((result) => result.confirmed),
+          queue_id: queueIds[0],
+          chunks: results.map((result, i) => ({ ...result, queue_id: queueIds[i] })),
+          contact,
+        };
+      }
+
+      case "health": {
+        return await buildHealth();
+      }
+
+      case "status": {
+        return buildStatus();
+      }
+
+      case "queue.list": {
+        const items = outboundQueue.list();
+        return { items, count: items.length };
+      }
+
+      case "queue.cancel": {
+        const queueId = String(params.id ?? params.queue_id ?? "").trim();
+        if (!queueId) throw new Error("Missing required parameter: id");
+        return { id: queueId, ...outboundQueue.cancel(queueId) };
+      }
+
+      default: {
+        throw rpcError(`Method not found: ${String(method)}`, RPC_ERROR_METHOD_NOT_FOUND);
+      }
+    }
+  }
+
+  // Pending queue items stay on disk and resume on the next start.
+  function stop() {
+    stopping ??= (async () => {
+      subscribed = false;
+      stopPolling();
+      if (metricsTimer) clearTimeout(metricsTimer);
+      metricsTimer = null;
+      deliveryChecksAbort.abort();
+      await Promise.allSettled([outboundQueue.stop(), ...deliveryChecks, saveChain, metricsWrite]);
+      db.close();
+      await releaseStateLock().catch(() => {});
+    })();
+    return stopping;
+  }
+
+  return { request, pollNow: runPoll, stop };
+}
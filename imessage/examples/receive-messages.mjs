@@ -15,6 +15,8 @@ const client = await createIMessageRpcClient({
     info: (msg) => console.log(`[INFO] ${msg}`)
   },
   onNotification: (notification) => {
+    // Reactions and delivery updates use their own notification methods.
+    if (notification.method !== 'message') return;
     const msg = notification.params.message;
     
     const timestamp = new Date().toISOString();
@@ -0,0 +1,170 @@
+/*
+ * External commands (osascript, sqlite3, sips/ImageMagick) behind one injectable adapter.
+ *
+ * Why this exists:
+ * - Every side effect of the runtime goes through a macOS binary, so nothing past argument parsing could
+ *   run on Linux CI. With the executor swapped out, `rpc --db <fixture>` can be driven end to end and the
+ *   generated AppleScript asserted on, without Messages.app or Full Disk Access.
+ *
+ * Modes (`--executor` / OPENCLAW_IMESSAGE_EXECUTOR):
+ * - "system"  (default) runs the real binaries. Paths can be overridden with OPENCLAW_IMESSAGE_OSASCRIPT,
+ *             OPENCLAW_IMESSAGE_SQLITE3 and OPENCLAW_IMESSAGE_SIPS.
+ * - "dry-run" records every AppleScript instead of running it and reports success. Image conversion is
+ *             recorded and fails, so HEIC attachments take the "original file" fallback. sqlite3 still runs.
+ * - "fixture" is "dry-run" plus acting as Messages.app: each recorded send is written to the `--db` file as
+ *             an outgoing row (and attachment), so send confirmation, messages.status and watch notifications
+ *             see it. Only use it with a fixture copy; it writes to the database.
+ *
+ * Records are JSON lines `{ ts, tool, args, send? }` appended to `--executor-log` /
+ * OPENCLAW_IMESSAGE_EXECUTOR_LOG, or passed to `log` (redacted there, see log.mjs) when no log file is set.
+ */
+
+import crypto from "node:crypto";
+import { execFile as execFileCb } from "node:child_process";
+import fs from "node:fs/promises";
+import path from "node:path";
+import { promisify } from "node:util";
+
+import { openChatDb, unixMsToAppleNs } from "./chat-db.mjs";
+
+const execFile = promisify(execFileCb);
+
+export const EXECUTOR_MODES = ["system", "dry-run", "fixture"];
+
+// tool -> [binary, leading args]. ImageMagick is looked up in PATH.
+const SYSTEM_TOOLS = {
+  osascript: () => [process.env.OPENCLAW_IMESSAGE_OSASCRIPT || "/usr/bin/osascript", []],
+  sqlite3: () => [process.env.OPENCLAW_IMESSAGE_SQLITE3 || "/usr/bin/sqlite3", []],
+  sips: () => [process.env.OPENCLAW_IMESSAGE_SIPS || "/usr/bin/sips", []],
+  bash: () => ["/bin/bash", []],
+  magick: () => ["/usr/bin/env", ["magick"]],
+};
+
+function createSystemRunner() {
+  return async (tool, args, opts = {}) => {
+    const resolve = SYSTEM_TOOLS[tool];
+    if (!resolve) throw new Error(`Unknown executor tool: ${tool}`);
+    const [bin, lead] = resolve();
+    const { timeout, maxBuffer } = opts;
+    return await execFile(bin, [...lead, ...args], { timeout, ...(maxBuffer ? { maxBuffer } : {}) });
+  };
+}
+
+// Service for the row Messages would write: the one the script picked, else what the chat guid says.
+function fixtureService(send) {
+  if (send.service) return send.service;
+  const prefix = String(send.target ?? "").split(";")[0];
+  return prefix === "SMS" ? "SMS" : "iMessage";
+}
+
+/**
+ * Writes what Messages.app would after a successful send: a handle and DM chat when the target is a new
+ * handle, one is_from_me=1 row for the text and another for the attachment, joined to the target chat.
+ * Rows are delivered straight away; set `error` on one to exercise the SMS fallback.
+ */
+async function insertFixtureSend(dbPath, send, { backend, sqlite3 } = {}) {
+  const db = await openChatDb(dbPath, { backend, writable: true, sqlite3 });
+  try {
+    const service = fixtureService(send);
+    const target = String(send.target ?? "");
+    const chatWhere = "chat.guid = $target OR chat.chat_identifier = $target";
+
+    if (send.targetKind === "handle") {
+      await db.all(
+        `INSERT INTO handle (id, service)
+         SELECT $target, $service WHERE NOT EXISTS (SELECT 1 FROM handle WHERE id = $target)`,
+        { target, service },
+      );
+      await db.all(
+        `INSERT INTO chat (guid, chat_identifier, service_name)
+         SELECT $guid, $target, $service WHERE NOT EXISTS (SELECT 1 FROM chat WHERE ${chatWhere})`,
+        { guid: `${service};-;${target}`, target, service },
+      );
+    }
+
+    const rows = [];
+    if (send.text) rows.push({ text: send.text });
+    if (send.filePath) rows.push({ text: "\uFFFC", filePath: send.filePath });
+
+    for (const row of rows) {
+      const guid = crypto.randomUUID().toUpperCase();
+      const date = unixMsToAppleNs(BigInt(Date.now()));
+      await db.all(
+        `INSERT INTO message (guid, text, handle_id, service, date, is_from_me, is_delivered, date_delivered,
+                              cache_has_attachments)
+         VALUES ($guid, $text, COALESCE((SELECT ROWID FROM handle WHERE id = $handle LIMIT 1), 0),
+                 $service, $date, 1, 1, $date, $hasAttachment)`,
+        {
+          guid,
+          text: row.text,
+          handle: send.targetKind === "handle" ? target : "",
+          service,
+          date,
+          hasAttachment: row.filePath ? 1 : 0,
+        },
+      );
+      await db.all(
+        `INSERT INTO chat_message_join (chat_id, message_id, message_date)
+         SELECT chat.ROWID, (SELECT ROWID FROM message WHERE guid = $guid), $date FROM chat WHERE ${chatWhere} LIMIT 1`,
+        { guid, date, target },
+      );
+      if (row.filePath) {
+        const attachmentGuid = crypto.randomUUID().toUpperCase();
+        await db.all(
+          "INSERT INTO attachment (guid, filename, transfer_name) VALUES ($guid, $filename, $name)",
+          { guid: attachmentGuid, filename: row.filePath, name: path.basename(row.filePath) },
+        );
+        await db.all(
+          `INSERT INTO message_attachment_join (message_id, attachment_id)
+           VALUES ((SELECT ROWID FROM message WHERE guid = $guid),
+                   (SELECT ROWID FROM attachment WHERE guid = $attachmentGuid))`,
+          { guid, attachmentGuid },
+        );
+      }
+    }
+  } finally {
+    db.close();
+  }
+}
+
+/**
+ * Executor for the given mode. `run(tool, args, { timeout, maxBuffer, send })` resolves like execFile
+ * ({ stdout, stderr }); tools are "osascript", "sqlite3", "sips", "bash" and "magick". `send` describes
+ * an osascript send ({ target, targetKind, service, text, filePath }) for the record and fixture mode.
+ */
+export function createExecutor({ mode = "system", logFile = "", dbPath = "", dbBackend, log = () => {} } = {}) {
+  const choice = String(mode || "system").trim().toLowerCase();
+  if (!EXECUTOR_MODES.includes(choice)) {
+    throw new Error(`Unknown executor: ${mode} (expected ${EXECUTOR_MODES.join(", ")})`);
+  }
+  const system = createSystemRunner();
+  if (choice === "system") return { mode: choice, run: system };
+
+  async function record(entry) {
+    if (!logFile) {
+      log(`[executor] recorded ${entry.tool}`, entry);
+      return;
+    }
+    await fs.mkdir(path.dirname(logFile), { recursive: true });
+    await fs.appendFile(logFile, `${JSON.stringify({ ts: new Date().toISOString(), ...entry })}\n`, "utf8");
+  }
+
+  return {
+    mode: choice,
+    async run(tool, args, opts = {}) {
+      // Reads are harmless and are what the fixture database is for.
+      if (tool === "sqlite3") return await system(tool, args, opts);
+
+      await record({ tool, args, ...(opts.send ? { send: opts.send } : {}) });
+      if (tool !== "osascript") throw new Error(`${tool} is not run by the ${choice} executor`);
+      if (choice === "fixture" && opts.send) {
+        if (!dbPath) throw new Error("The fixture executor needs a database path");
+        await insertFixtureSend(dbPath, opts.send, {
+          backend: dbBackend,
+          sqlite3: (sqliteArgs, sqliteOpts) => system("sqlite3", sqliteArgs, sqliteOpts),
+        });
+      }
+      return { stdout: "", stderr: "" };
+    },
+  };
+}
@@ -0,0 +1,140 @@
+/*
+ * Handle normalization: phone numbers to E.164, emails trimmed and lowercased.
+ *
+ * Why this exists:
+ * - chat.db stores phone handles as E.164 ("+15551234567") and email handles lowercased, but callers type
+ *   "(555) 123-4567", "555-123-4567" or "Alice@Example.com". Without normalization those are different
+ *   buddies to AppleScript and never match `handle.id` / `chat.chat_identifier`.
+ *
+ * Numbers without a country code are read in the default country (ISO code like "US"/"GB", or a calling
+ * code like "44"). Short codes and other numbers that can't be made E.164 keep their digits.
+ */
+
+export const DEFAULT_COUNTRY = "US";
+
+// ISO country -> calling code and national trunk prefix (dropped when adding the calling code).
+const COUNTRIES = {
+  US: { code: "1" },
+  CA: { code: "1" },
+  PR: { code: "1" },
+  GB: { code: "44", trunk: "0" },
+  IE: { code: "353", trunk: "0" },
+  FR: { code: "33", trunk: "0" },
+  DE: { code: "49", trunk: "0" },
+  AT: { code: "43", trunk: "0" },
+  CH: { code: "41", trunk: "0" },
+  NL: { code: "31", trunk: "0" },
+  BE: { code: "32", trunk: "0" },
+  LU: { code: "352" },
+  // Italian numbers keep their leading 0 after the calling code.
+  IT: { code: "39" },
+  ES: { code: "34" },
+  PT: { code: "351" },
+  SE: { code: "46", trunk: "0" },
+  NO: { code: "47" },
+  DK: { code: "45" },
+  FI: { code: "358", trunk: "0" },
+  PL: { code: "48" },
+  CZ: { code: "420" },
+  GR: { code: "30" },
+  TR: { code: "90", trunk: "0" },
+  RU: { code: "7", trunk: "8" },
+  UA: { code: "380", trunk: "0" },
+  IL: { code: "972", trunk: "0" },
+  AE: { code: "971", trunk: "0" },
+  ZA: { code: "27", trunk: "0" },
+  IN: { code: "91", trunk: "0" },
+  CN: { code: "86", trunk: "0" },
+  HK: { code: "852" },
+  TW: { code: "886", trunk: "0" },
+  JP: { code: "81", trunk: "0" },
+  KR: { code: "82", trunk: "0" },
+  SG: { code: "65" },
+  MY: { code: "60", trunk: "0" },
+  TH: { code: "66", trunk: "0" },
+  PH: { code: "63", trunk: "0" },
+  ID: { code: "62", trunk: "0" },
+  AU: { code: "61", trunk: "0" },
+  NZ: { code: "64", trunk: "0" },
+  BR: { code: "55", trunk: "0" },
+  MX: { code: "52" },
+  AR: { code: "54", trunk: "0" },
+  CL: { code: "56" },
+  CO: { code: "57" },
+};
+
+const PHONE_LIKE = /^\+?[\d\s().\-/]+$/;
+const EMAIL_LIKE = /^[^\s@]+@[^\s@]+$/;
+
+// Countries are ISO codes ("GB") or calling codes ("44", "+44"); unknown values fall back to the default.
+function resolveCountry(country) {
+  const value = String(country ?? "").trim().toUpperCase();
+  if (COUNTRIES[value]) return COUNTRIES[value];
+  const code = value.replace(/^\+/, "");
+  if (/^\d{1,3}$/.test(code)) {
+    return Object.values(COUNTRIES).find((c) => c.code === code) ?? { code, trunk: "0" };
+  }
+  return COUNTRIES[DEFAULT_COUNTRY];
+}
+
+function stripScheme(value) {
+  return String(value ?? "").trim().replace(/^(tel|sms|imessage|mailto):/i, "");
+}
+
+function toE164(digits) {
+  return digits.length >= 8 && digits.length <= 15 && !digits.startsWith("0") ? `+${digits}` : null;
+}
+
+/** Phone number -> E.164 ("+15551234567"), or null when it isn't a phone number or can't be made E.164. */
+export function normalizePhoneNumber(value, { defaultCountry = DEFAULT_COUNTRY } = {}) {
+  const raw = stripScheme(value);
+  if (!PHONE_LIKE.test(raw)) return null;
+  const digits = raw.replace(/\D/g, "");
+  if (!digits) return null;
+  // "+44 (0)20 ..." writes the trunk prefix in brackets; it isn't dialled after the country code.
+  if (raw.startsWith("+")) return toE164(raw.replace(/\(0\)/, "").replace(/\D/g, ""));
+
+  const country = resolveCountry(defaultCountry);
+  // International dialing prefixes: 00 in most of the world, 011 in the NANP.
+  if (country.code === "1" && digits.startsWith("011")) return toE164(digits.slice(3));
+  if (country.code !== "1" && digits.startsWith("00")) return toE164(digits.slice(2));
+  // Anything shorter is a short code or an incomplete number.
+  if (digits.length < 7) return null;
+
+  if (country.code === "1") {
+    if (digits.length === 10) return `+1${digits}`;
+    if (digits.length === 11 && digits.startsWith("1")) return `+${digits}`;
+    return null;
+  }
+  const national = country.trunk && digits.startsWith(country.trunk) ? digits.slice(country.trunk.length) : digits;
+  return toE164(`${country.code}${national}`);
+}
+
+/** Email -> trimmed, lowercased address, or null when it isn't an email address. */
+export function normalizeEmail(value) {
+  const email = stripScheme(value).toLowerCase();
+  return EMAIL_LIKE.test(email) ? email : null;
+}
+
+/** Whether a value is a phone number or email address (rather than a chat id or name). */
+export function looksLikeHandle(value) {
+  const v = stripScheme(value);
+  if (!v) return false;
+  if (v.includes("@")) return EMAIL_LIKE.test(v);
+  return PHONE_LIKE.test(v) && /\d/.test(v);
+}
+
+/**
+ * The canonical form of a handle: E.164 for phone numbers (digits only when that isn't possible, e.g.
+ * short codes), lowercase for emails. Anything else is returned trimmed but otherwise unchanged.
+ */
+export function normalizeHandle(value, { defaultCountry = DEFAULT_COUNTRY } = {}) {
+  const raw = String(value ?? "").trim();
+  if (!looksLikeHandle(raw)) return raw;
+  const email = normalizeEmail(raw);
+  if (email) return email;
+  const phone = normalizePhoneNumber(raw, { defaultCountry });
+  if (phone) return phone;
+  const stripped = stripScheme(raw);
+  return `${stripped.startsWith("+") ? "+" : ""}${stripped.replace(/\D/g, "")}`;
+}
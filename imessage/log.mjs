@@ -0,0 +1,146 @@
+/*
+ * Leveled JSON-line logging for the runtime, shared by native-applescript.mjs and client-native.mjs.
+ *
+ * Why this exists:
+ * - Logs used to be free-form stderr lines, and the old in-process client dumped SQL and message previews
+ *   to stdout on every poll. Entries are now one JSON object per line ({ ts, level, component, msg, ...fields })
+ *   at a configurable level, and message content and handles are redacted before they are written.
+ *
+ * Destinations:
+ * - stderr by default; stdout is never used (it belongs to JSON-RPC).
+ * - A file (`--log-target file`, default `<state dir>/logs/imessage.jsonl`), rotated at `maxBytes` into
+ *   `<file>.1` ... `<file>.<maxFiles>`.
+ * - `sinks` ({ debug, info, warn, error } functions, e.g. OpenClaw's `runtime`) replace stderr. warn and
+ *   error fall back to info; a level with no sink goes to stderr.
+ *
+ * Redaction (on unless `--log-redact off`) works on field names, so PII must be passed as fields, never
+ * interpolated into `msg`: content (text, query, args, ...) becomes its length, addresses (sender, target,
+ * chat, ...) a short stable hash so entries about the same handle can still be matched, and `error` keeps
+ * its first line only, since osascript failures quote the script.
+ */
+
+import crypto from "node:crypto";
+import fs from "node:fs";
+import path from "node:path";
+
+export const LOG_LEVELS = ["debug", "info", "warn", "error"];
+export const LOG_TARGETS = ["stderr", "file"];
+
+const CONTENT_KEYS = new Set(["text", "preview", "snippet", "query", "args", "script"]);
+// `lane` and access-list `rule` values embed a handle too.
+const ADDRESS_KEYS = new Set([
+  "sender",
+  "handle",
+  "target",
+  "to",
+  "from",
+  "chat",
+  "contact",
+  "participants",
+  "lane",
+  "rule",
+]);
+const ERROR_MAX_CHARS = 300;
+const SINK_FALLBACKS = { debug: ["debug"], info: ["info"], warn: ["warn", "info"], error: ["error", "warn", "info"] };
+
+function hashTag(value) {
+  return crypto.createHash("sha256").update(String(value)).digest("hex").slice(0, 8);
+}
+
+export function redactFields(value, key) {
+  if (value == null) return value;
+  if (Array.isArray(value)) return value.map((item) => redactFields(item, key));
+  if (typeof value === "object" && !(value instanceof Error)) {
+    const out = {};
+    for (const [k, v] of Object.entries(value)) out[k] = redactFields(v, k);
+    return out;
+  }
+  if (CONTENT_KEYS.has(key)) return `<redacted ${String(value).length} chars>`;
+  if (ADDRESS_KEYS.has(key)) return `<redacted ${hashTag(value)}>`;
+  if (key === "error") return String(value).split("\n")[0].slice(0, ERROR_MAX_CHARS);
+  return value;
+}
+
+// Appends lines to `file`, moving it to `<file>.1` (and older copies up one) once it would pass maxBytes.
+function createFileWriter(file, { maxBytes, maxFiles }) {
+  let size = null;
+  function rotate() {
+    for (let i = maxFiles - 1; i >= 1; i--) {
+      if (fs.existsSync(`${file}.${i}`)) fs.renameSync(`${file}.${i}`, `${file}.${i + 1}`);
+    }
+    fs.renameSync(file, `${file}.1`);
+    size = 0;
+  }
+  return (line) => {
+    if (size == null) {
+      fs.mkdirSync(path.dirname(file), { recursive: true });
+      size = fs.existsSync(file) ? fs.statSync(file).size : 0;
+    }
+    const bytes = Buffer.byteLength(line);
+    if (size > 0 && size + bytes > maxBytes) {
+      if (maxFiles > 0) rotate();
+      else fs.truncateSync(file, 0);
+      size = 0;
+    }
+    fs.appendFileSync(file, line, { mode: 0o600 });
+    size += bytes;
+  };
+}
+
+/**
+ * Logger writing entries at `level` and above. `log.info(msg, fields)` etc. write an entry;
+ * `log.child(component)` tags entries with a component; `log.lines(level)` adapts the logger to the
+ * `log("[component] message", fields?)` callbacks taken by contacts.mjs, access-list.mjs and executors.mjs.
+ */
+export function createLogger({
+  level = "info",
+  file,
+  maxBytes = 5 * 1024 * 1024,
+  maxFiles = 3,
+  redact = true,
+  sinks,
+  stream = process.stderr,
+} = {}) {
+  const threshold = LOG_LEVELS.indexOf(level);
+  if (threshold < 0) throw new Error(`Unknown log level: ${level} (expected ${LOG_LEVELS.join(", ")})`);
+  const writeFile = file ? createFileWriter(file, { maxBytes, maxFiles }) : null;
+
+  function write(entryLevel, component, msg, fields) {
+    if (LOG_LEVELS.indexOf(entryLevel) < threshold) return;
+    const entry = {
+      ts: new Date().toISOString(),
+      level: entryLevel,
+      component,
+      msg,
+      ...(redact ? redactFields(fields ?? {}) : fields),
+    };
+    const line = JSON.stringify(entry, (_key, value) => (typeof value === "bigint" ? value.toString() : value));
+    if (writeFile) {
+      try {
+        writeFile(`${line}\n`);
+        return;
+      } catch (err) {
+        const failure = { ts: entry.ts, level: "error", component: "log", msg: "log file write failed" };
+        stream.write(`${JSON.stringify({ ...failure, error: String(err) })}\n`);
+      }
+    }
+    const sink = SINK_FALLBACKS[entryLevel].map((name) => sinks?.[name]).find((fn) => typeof fn === "function");
+    if (sink) sink(line);
+    else stream.write(`${line}\n`);
+  }
+
+  function bind(component) {
+    const logger = { level, component };
+    for (const name of LOG_LEVELS) logger[name] = (msg, fields) => write(name, component, msg, fields);
+    logger.enabled = (name) => LOG_LEVELS.indexOf(name) >= threshold;
+    logger.child = (child) => bind(child);
+    logger.lines = (lineLevel = "info") => (line, fields) => {
+      const text = String(line);
+      const match = /^\[([^\]]+)\]\s*/.exec(text);
+      write(lineLevel, match ? match[1] : component, match ? text.slice(match[0].length) : text, fields);
+    };
+    return logger;
+  }
+
+  return bind("imessage");
+}
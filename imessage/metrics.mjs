@@ -0,0 +1,91 @@
+/*
+ * Prometheus text-format rendering of the runtime's `status` and `health` results.
+ *
+ * Why this exists:
+ * - `--metrics-file <path>` (OPENCLAW_IMESSAGE_METRICS_FILE) has the runtime rewrite a metrics file every
+ *   `--metrics-interval-ms`, for node_exporter's textfile collector or anything else that scrapes files.
+ *   The runtime speaks JSON-RPC over stdio only, so there is no HTTP endpoint to scrape.
+ *
+ * Every value comes from the `status`/`health` RPC results, so the file and the RPCs always agree.
+ */
+
+function escapeLabelValue(value) {
+  return String(value).replace(/\\/g, "\\\\").replace(/\n/g, "\\n").replace(/"/g, '\\"');
+}
+
+function formatLabels(labels) {
+  const entries = Object.entries(labels ?? {});
+  if (!entries.length) return "";
+  return `{${entries.map(([key, value]) => `${key}="${escapeLabelValue(value)}"`).join(",")}}`;
+}
+
+function secondsFromIso(iso) {
+  const ms = iso ? Date.parse(iso) : Number.NaN;
+  return Number.isFinite(ms) ? ms / 1000 : null;
+}
+
+// [name, type, help, samples]; samples are [labels, value] and null values are left out.
+function collectMetrics(status, health) {
+  const checks = health?.checks ?? {};
+  const running = checks.messages_app?.running;
+  return [
+    ["imessage_build_info", "gauge", "Runtime version and executor.", [
+      [{ version: status.version, executor: status.executor }, 1],
+    ]],
+    ["imessage_uptime_seconds", "gauge", "Seconds since the runtime started.", [[null, status.uptime_ms / 1000]]],
+    ["imessage_healthy", "gauge", "1 when every health check passes.", [[null, health ? Number(health.ok) : null]]],
+    ["imessage_database_readable", "gauge", "1 when chat.db can be queried.", [
+      [null, checks.database ? Number(checks.database.ok) : null],
+    ]],
+    ["imessage_database_max_row_id", "gauge", "Highest message ROWID in chat.db.", [
+      [null, checks.database?.max_row_id ?? null],
+    ]],
+    ["imessage_messages_app_running", "gauge", "1 when Messages.app is running (absent when not checked).", [
+      [null, running == null ? null : Number(running)],
+    ]],
+    ["imessage_subscribed", "gauge", "1 while a watch subscription is active.", [
+      [null, Number(status.watch.subscribed)],
+    ]],
+    ["imessage_cursor_row_id", "gauge", "Message ROWID the poller has read up to.", [
+      [null, status.cursor.row_id == null ? null : Number(status.cursor.row_id)],
+    ]],
+    ["imessage_polls_total", "counter", "Polls of chat.db.", [[null, status.poll.total]]],
+    ["imessage_poll_errors_total", "counter", "Polls that failed.", [[null, status.poll.errors]]],
+    ["imessage_last_poll_success_timestamp_seconds", "gauge", "Unix time of the last successful poll.", [
+      [null, secondsFromIso(status.poll.last_success_at)],
+    ]],
+    ["imessage_poll_duration_seconds", "gauge", "Duration of the last successful poll.", [
+      [null, status.poll.last_duration_ms == null ? null : status.poll.last_duration_ms / 1000],
+    ]],
+    ["imessage_notifications_total", "counter", "Notifications emitted, by method.",
+      Object.entries(status.notifications).map(([method, count]) => [{ method }, count]),
+    ],
+    ["imessage_outbound_queue_depth", "gauge", "Sends waiting in or going through the outbound queue.", [
+      [null, status.queue.depth],
+    ]],
+    ["imessage_sends_total", "counter", "Queued sends that left the queue, by outcome.", [
+      [{ outcome: "sent" }, status.sends.sent],
+      [{ outcome: "failed" }, status.sends.failed],
+      [{ outcome: "cancelled" }, status.sends.cancelled],
+    ]],
+    ["imessage_send_retries_total", "counter", "Send attempts retried after a transient failure.", [
+      [null, status.sends.retried],
+    ]],
+    ["imessage_sends_rejected_total", "counter", "Sends refused before queueing, by reason.", [
+      [{ reason: "rate_limited" }, status.sends.rate_limited],
+      [{ reason: "blocked" }, status.sends.blocked],
+    ]],
+  ];
+}
+
+/** Prometheus text exposition (version 0.0.4) for a `status` result and an optional `health` result. */
+export function renderPrometheusMetrics(status, health) {
+  const lines = [];
+  for (const [name, type, help, samples] of collectMetrics(status, health)) {
+    const present = samples.filter(([, value]) => value != null && Number.isFinite(Number(value)));
+    if (!present.length) continue;
+    lines.push(`# HELP ${name} ${help}`, `# TYPE ${name} ${type}`);
+    for (const [labels, value] of present) lines.push(`${name}${formatLabels(labels)} ${Number(value)}`);
+  }
+  return `${lines.join("\n")}\n`;
+}
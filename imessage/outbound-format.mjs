@@ -0,0 +1,203 @@
+/*
+ * Outbound text formatting for `send`: Markdown -> plain text, then chunking of long replies.
+ *
+ * Why this exists:
+ * - Agent replies are usually Markdown, which Messages shows verbatim (`**bold**`, `#` headers, pipes).
+ * - Very long replies are unpleasant as one bubble (and get split arbitrarily when they fall back to SMS).
+ *
+ * Rendering rules:
+ * - Fenced code blocks keep their content verbatim (fence lines dropped); inline code loses its backticks.
+ * - Headers, emphasis and strikethrough markers are removed; blockquote markers are removed.
+ * - Bullets become "•", ordered lists keep their numbers, nesting is kept as indentation.
+ * - Links and images become "text (url)" (just the url when the text is the url).
+ * - Tables become one line per row with cells joined by " | "; the separator row is dropped.
+ */
+
+const CODE_FENCE = /^\s*(```|~~~)/;
+const TABLE_SEPARATOR = /^\s*\|?\s*:?-{3,}:?\s*(\|\s*:?-{3,}:?\s*)*\|?\s*$/;
+
+function renderLink(text, url) {
+  const label = String(text).trim();
+  const href = String(url).trim();
+  if (!label || label === href || label === href.replace(/^mailto:/, "")) return href.replace(/^mailto:/, "");
+  return `${label} (${href})`;
+}
+
+function renderInline(line) {
+  // Pull inline code out first so its contents are left alone.
+  const codeSpans = [];
+  let out = line.replace(/`([^`]+)`/g, (_, code) => {
+    codeSpans.push(code);
+    return `\u0000${codeSpans.length - 1}\u0000`;
+  });
+
+  out = out
+    .replace(/!\[([^\]]*)\]\(([^)\s]+)(?:\s+"[^"]*")?\)/g, (_, alt, url) => renderLink(alt || url, url))
+    .replace(/\[([^\]]+)\]\(([^)\s]+)(?:\s+"[^"]*")?\)/g, (_, text, url) => renderLink(text, url))
+    .replace(/<((?:https?:\/\/|mailto:)[^>\s]+)>/g, (_, url) => url.replace(/^mailto:/, ""))
+    .replace(/<br\s*\/?>/gi, "\n")
+    .replace(/(\*\*|__)(?=\S)([\s\S]*?\S)\1/g, "$2")
+    .replace(/(^|[^\w*])\*(?=\S)([^*]*?\S)\*(?!\w)/g, "$1$2")
+    .replace(/(^|[^\w])_(?=\S)([^_]*?\S)_(?!\w)/g, "$1$2")
+    .replace(/~~(?=\S)([\s\S]*?\S)~~/g, "$1")
+    .replace(/\\([\\`*_{}[\]()#+\-.!|>~])/g, "$1");
+
+  return out.replace(/\u0000(\d+)\u0000/g, (_, i) => codeSpans[Number(i)]);
+}
+
+function renderTableRow(line) {
+  const cells = line.trim().replace(/^\|/, "").replace(/\|$/, "").split("|");
+  return cells.map((cell) => renderInline(cell.trim())).join(" | ");
+}
+
+/** Convert Markdown to readable plain text (see the rules in the header comment). */
+export function markdownToPlainText(markdown) {
+  const lines = String(markdown ?? "").replace(/\r\n?/g, "\n").split("\n");
+  const out = [];
+  let fence = null;
+
+  for (let i = 0; i < lines.length; i++) {
+    const line = lines[i];
+
+    const fenceMatch = line.match(CODE_FENCE);
+    if (fence) {
+      if (fenceMatch && fenceMatch[1] === fence) fence = null;
+      else out.push(line);
+      continue;
+    }
+    if (fenceMatch) {
+      fence = fenceMatch[1];
+      continue;
+    }
+
+    // A table is a header row followed by a separator row.
+    if (line.includes("|") && TABLE_SEPARATOR.test(lines[i + 1] ?? "")) {
+      out.push(renderTableRow(line));
+      i++;
+      while (i + 1 < lines.length && lines[i + 1].includes("|") && lines[i + 1].trim()) {
+        out.push(renderTableRow(lines[++i]));
+      }
+      continue;
+    }
+
+    if (/^\s*([-*_])(\s*\1){2,}\s*$/.test(line)) {
+      out.push("—");
+      continue;
+    }
+
+    const header = line.match(/^\s{0,3}#{1,6}\s+(.*?)\s*#*\s*$/);
+    if (header) {
+      out.push(renderInline(header[1]));
+      continue;
+    }
+
+    let body = line.replace(/^\s{0,3}(>\s?)+/, "");
+    const bullet = body.match(/^(\s*)[-*+]\s+(\[[ xX]\]\s+)?(.*)$/);
+    if (bullet) {
+      const indent = " ".repeat(Math.floor(bullet[1].replace(/\t/g, "  ").length / 2) * 2);
+      const check = bullet[2] ? (/\[[xX]\]/.test(bullet[2]) ? "☑ " : "☐ ") : "";
+      out.push(`${indent}• ${check}${renderInline(bullet[3])}`);
+      continue;
+    }
+    const ordered = body.match(/^(\s*)(\d+)[.)]\s+(.*)$/);
+    if (ordered) {
+      const indent = " ".repeat(Math.floor(ordered[1].replace(/\t/g, "  ").length / 2) * 2);
+      out.push(`${indent}${ordered[2]}. ${renderInline(ordered[3])}`);
+      continue;
+    }
+
+    // Markdown soft line breaks: trailing double spaces mark a hard break; keep lines as written.
+    body = body.replace(/ {2,}$/, "");
+    out.push(renderInline(body));
+  }
+
+  return out
+    .join("\n")
+    .replace(/\n{3,}/g, "\n\n")
+    .trim();
+}
+
+// Split one oversized piece at the best boundary available: sentences, then words, then characters.
+function splitPiece(piece, maxChars) {
+  if (piece.length <= maxChars) return [piece];
+  const sentences = piece.match(/[^.!?…\n]+(?:[.!?…]+["')\]]*|\n|$)\s*/g) ?? [piece];
+  const units = sentences.length > 1 ? sentences : piece.split(/(?<=\s)/);
+  const out = [];
+  let current = "";
+  for (const unit of units) {
+    if (unit.length > maxChars) {
+      if (current.trim()) out.push(current.trim());
+      // An oversized sentence is split at its words; only a single oversized word is cut.
+      const body = unit.trim();
+      const pieces = [];
+      if (units.length > 1) pieces.push(...splitPiece(body, maxChars));
+      else for (let i = 0; i < body.length; i += maxChars) pieces.push(body.slice(i, i + maxChars));
+      // Keep the tail open, as chunkText does, so the next unit can join it.
+      out.push(...pieces.slice(0, -1));
+      current = `${pieces[pieces.length - 1] ?? ""}${unit.match(/\s*$/)[0]}`;
+      continue;
+    }
+    if ((current + unit).trimEnd().length > maxChars) {
+      if (current.trim()) out.push(current.trim());
+      current = unit;
+    } else {
+      current += unit;
+    }
+  }
+  if (current.trim()) out.push(current.trim());
+  return out;
+}
+
+// Paragraphs packed into chunks of at most `limit` characters.
+function packParagraphs(clean, limit) {
+  const chunks = [];
+  let current = "";
+  for (const paragraph of clean.split(/\n{2,}/)) {
+    const candidate = current ? `${current}\n\n${paragraph}` : paragraph;
+    if (candidate.length <= limit) {
+      current = candidate;
+      continue;
+    }
+    if (current) chunks.push(current);
+    current = "";
+    const pieces = splitPiece(paragraph, limit);
+    // Keep the tail of a split paragraph open so the next paragraph can join it.
+    chunks.push(...pieces.slice(0, -1));
+    current = pieces[pieces.length - 1] ?? "";
+  }
+  if (current) chunks.push(current);
+  return chunks;
+}
+
+/**
+ * Split text into chunks of at most maxChars, preferring paragraph boundaries, then sentences.
+ * With markers, each chunk of a multi-chunk result ends in " (i/n)" (still within maxChars).
+ */
+export function chunkText(text, { maxChars = 4000, markers = false } = {}) {
+  const clean = String(text ?? "").trim();
+  if (!clean) return [];
+  if (!maxChars || clean.length <= maxChars) return [clean];
+  if (!markers) return packParagraphs(clean, maxChars);
+
+  // " (i/n)" takes 4 characters plus twice the digits of n. Guess the digits, then re-chunk with more
+  // room until the count fits the guess (a smaller limit never yields fewer chunks).
+  let digits = 1;
+  let chunks;
+  for (;;) {
+    chunks = packParagraphs(clean, Math.max(maxChars - 4 - 2 * digits, 1));
+    const needed = String(chunks.length).length;
+    if (needed <= digits) break;
+    digits = needed;
+  }
+  if (chunks.length < 2) return chunks;
+  return chunks.map((chunk, i) => `${chunk} (${i + 1}/${chunks.length})`);
+}
+
+/**
+ * The formatting stage applied to `send` text: Markdown rendering (when asked for), then chunking.
+ * Returns the list of texts to send, in order (empty when there is no text).
+ */
+export function formatOutboundText(text, { markdown = false, maxChars = 4000, markers = false } = {}) {
+  const rendered = markdown ? markdownToPlainText(text) : String(text ?? "");
+  return chunkText(rendered, { maxChars, markers });
+}
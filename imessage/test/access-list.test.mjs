@@ -0,0 +1,79 @@
+import assert from "node:assert/strict";
+import fs from "node:fs/promises";
+import path from "node:path";
+import { describe, it } from "node:test";
+
+import { createAccessList } from "../access-list.mjs";
+import { ALICE, BOB, CAROL, makeSandbox } from "./helpers.mjs";
+
+describe("createAccessList", () => {
+  async function setup(t, contents) {
+    const sandbox = await makeSandbox();
+    t.after(() => sandbox.cleanup());
+    const filePath = path.join(sandbox.stateDir, "imessage-access.json");
+    const write = (value) => fs.writeFile(filePath, typeof value === "string" ? value : JSON.stringify(value));
+    if (contents !== undefined) await write(contents);
+    const lines = [];
+    const list = createAccessList({ filePath, log: (line) => lines.push(line) });
+    await list.refresh({ force: true });
+    return { list, lines, write, filePath };
+  }
+
+  it("allows everyone not denied without a file or an allow list", async (t) => {
+    const { list, write } = await setup(t);
+    assert.deepEqual(list.check({ handle: ALICE }), { allowed: true });
+    await write({ deny: ["(555) 765-4321"] });
+    await list.refresh({ force: true });
+    assert.deepEqual(list.check({ handle: ALICE }), { allowed: true });
+    assert.deepEqual(list.check({ handle: CAROL }), { allowed: false, rule: "deny (555) 765-4321" });
+  });
+
+  it("matches handles, domains and chats in the allow list", async (t) => {
+    const { list } = await setup(t, { allow: ["+1 555 123 4567", "@example.com", "chat123456"] });
+    assert.equal(list.check({ handle: "(555) 123-4567" }).allowed, true);
+    assert.equal(list.check({ handle: BOB }).allowed, true);
+    assert.equal(list.check({ handle: CAROL, chatIdentifier: "chat123456" }).allowed, true);
+    assert.deepEqual(list.check({ handle: CAROL }), { allowed: false, rule: "not in allow list" });
+  });
+
+  it("logs entries it can't use and keeps the rest", async (t) => {
+    const { list, lines } = await setup(t, { allow: [ALICE, "example.com"], deny: ["Alice"] });
+    assert.equal(list.check({ handle: ALICE }).allowed, true);
+    assert.equal(list.check({ handle: CAROL }).allowed, false);
+    assert.ok(lines.some((line) => line.includes('ignoring allow entry "example.com"')));
+    assert.ok(lines.some((line) => line.includes('ignoring deny entry "Alice"')));
+  });
+
+  it("blocks everyone when the allow list has entries but none are valid", async (t) => {
+    const { list } = await setup(t, { allow: ["example.com", "Alice"] });
+    assert.deepEqual(list.check({ handle: ALICE }), { allowed: false, rule: "no valid allow entries" });
+  });
+
+  it("blocks everyone when the file is invalid at startup, until it is fixed", async (t) => {
+    for (const contents of ['{"allow": [', { allow: ALICE }, { deny: "spam@example.com" }, "[]"]) {
+      const { list, write } = await setup(t, contents);
+      assert.deepEqual(list.check({ handle: ALICE }), { allowed: false, rule: "invalid access list" }, String(contents));
+      await write({ allow: [ALICE, BOB] });
+      await list.refresh({ force: true });
+      assert.equal(list.check({ handle: ALICE }).allowed, true);
+    }
+  });
+
+  it("keeps the last lists that loaded when the file turns invalid later", async (t) => {
+    const { list, lines, write } = await setup(t, { allow: [ALICE] });
+    await write({ allow: ALICE });
+    await list.refresh({ force: true });
+    assert.equal(list.check({ handle: ALICE }).allowed, true);
+    assert.equal(list.check({ handle: CAROL }).allowed, false);
+    assert.ok(lines.some((line) => line.includes("keeping the current lists")));
+  });
+
+  it("blocks everyone when the file can't be read at startup", async (t) => {
+    const { list, filePath } = await setup(t);
+    await fs.mkdir(filePath);
+    const fresh = createAccessList({ filePath, log: () => {} });
+    await fresh.refresh({ force: true });
+    assert.deepEqual(fresh.check({ handle: ALICE }), { allowed: false, rule: "invalid access list" });
+    assert.equal(list.check({ handle: ALICE }).allowed, true);
+  });
+});
@@ -0,0 +1,107 @@
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+
+import { decodeAttributedBody } from "../attributed-body.mjs";
+import { BOB, encodeAttributedBody } from "./helpers.mjs";
+
+const PART = "__kIMMessagePartAttributeName";
+
+// Blobs assembled by hand in the layout Messages writes, independently of encodeAttributedBody: the text is
+// an NSMutableString and each NSNumber archives its type as a "*" C string, which later numbers reference.
+// Both decode the same with node-typedstream (a port of python-typedstream).
+const hex = (str) => Buffer.from(str, "utf8").toString("hex");
+const counted = (str) => Buffer.from([Buffer.byteLength(str)]).toString("hex") + hex(str);
+// Version 4, "streamtyped", system 1000; then an "@" group holding NSAttributedString -> NSObject.
+const HEADER =
+  `040b${hex("streamtyped")}81e803840140848484${counted("NSAttributedString")}008484${counted("NSObject")}0085`;
+// NSMutableString -> NSString -> (NSObject) with a "+" group of UTF-8 bytes.
+const textGroup = (text) =>
+  `92848484${counted("NSMutableString")}018484${counted("NSString")}019484012b${counted(text)}86`;
+// The first dictionary: { __kIMMessagePartAttributeName: 0 } with the number typed "q".
+const PART_ZERO =
+  `92848484${counted("NSDictionary")}00948401690192849797${counted(PART)}86` +
+  `92848484${counted("NSNumber")}008484${counted("NSValue")}009484012a848401719e008686`;
+// { part: 0, mention: BOB }, with every class, type string and the "q" C string by reference.
+const PART_ZERO_MENTION =
+  `9284999a0292849797${counted(PART)}86` +
+  "92849c9d9e9e0086" +
+  `92849797${counted("__kIMMentionConfirmedMention")}8692849797${counted(BOB)}8686`;
+const HELLO = `${HEADER}${textGroup("Hello")}840269490105${PART_ZERO}86`;
+const MENTION = `${HEADER}${textGroup("Hey @Bob 👋")}840269490104${PART_ZERO}980204${PART_ZERO_MENTION}98010386`;
+
+describe("decodeAttributedBody", () => {
+  it("decodes blobs laid out the way Messages archives them", () => {
+    assert.deepEqual(decodeAttributedBody(HELLO), {
+      text: "Hello",
+      mentions: [],
+      links: [],
+      parts: [{ part: 0, location: 0, length: 5 }],
+    });
+    assert.deepEqual(decodeAttributedBody(Buffer.from(MENTION, "hex")), {
+      text: "Hey @Bob 👋",
+      mentions: [{ handle: BOB, text: "@Bob", location: 4, length: 4 }],
+      links: [],
+      parts: [
+        { part: 0, location: 0, length: 4 },
+        { part: 0, location: 4, length: 4 },
+        { part: 0, location: 8, length: 3 },
+      ],
+    });
+  });
+
+  it("decodes the text of a blob, a Uint8Array or its hex dump", () => {
+    const blob = encodeAttributedBody("see you at 6 👋");
+    const expected = {
+      text: "see you at 6 👋",
+      mentions: [],
+      links: [],
+      parts: [{ part: 0, location: 0, length: 15 }],
+    };
+    assert.deepEqual(decodeAttributedBody(blob), expected);
+    assert.deepEqual(decodeAttributedBody(new Uint8Array(blob)), expected);
+    assert.deepEqual(decodeAttributedBody(blob.toString("hex").toUpperCase()), expected);
+  });
+
+  it("reports mentions, links and message parts with UTF-16 ranges", () => {
+    const text = "👋 @Bob read https://example.com";
+    const decoded = decodeAttributedBody(
+      encodeAttributedBody(text, [
+        { length: 3, attributes: { [PART]: 0 } },
+        { length: 4, attributes: { [PART]: 0, __kIMMentionConfirmedMention: BOB } },
+        { length: 6, attributes: { [PART]: 0 } },
+        { length: 19, attributes: { [PART]: 1, __kIMLinkAttributeName: "https://example.com" } },
+      ]),
+    );
+    assert.equal(decoded.text, text);
+    assert.deepEqual(decoded.mentions, [{ handle: BOB, text: "@Bob", location: 3, length: 4 }]);
+    assert.deepEqual(decoded.links, [
+      { url: "https://example.com", text: "https://example.com", location: 13, length: 19 },
+    ]);
+    assert.deepEqual(
+      decoded.parts.map(({ part, location }) => [part, location]),
+      [
+        [0, 0],
+        [0, 3],
+        [0, 7],
+        [1, 13],
+      ],
+    );
+  });
+
+  it("falls back to the first string of a truncated blob", () => {
+    const blob = encodeAttributedBody("cut short");
+    assert.deepEqual(decodeAttributedBody(blob.subarray(0, blob.length - 10)), {
+      text: "cut short",
+      mentions: [],
+      links: [],
+      parts: [],
+    });
+  });
+
+  it("returns null when there is nothing to read", () => {
+    assert.equal(decodeAttributedBody(null), null);
+    assert.equal(decodeAttributedBody(""), null);
+    assert.equal(decodeAttributedBody("not hex"), null);
+    assert.equal(decodeAttributedBody(Buffer.from("garbage bytes")), null);
+  });
+});
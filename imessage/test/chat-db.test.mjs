@@ -0,0 +1,51 @@
+import assert from "node:assert/strict";
+import { spawn } from "node:child_process";
+import path from "node:path";
+import { describe, it } from "node:test";
+
+import { openChatDb } from "../chat-db.mjs";
+import { createFixtureDb, makeSandbox } from "./helpers.mjs";
+
+const hasNodeSqlite = await import("node:sqlite").then(
+  () => true,
+  () => false,
+);
+
+// Another process that holds a write lock on dbPath for `holdMs`, the way Messages does mid-write.
+function holdWriteLock(dbPath, holdMs) {
+  const script = [
+    'const { DatabaseSync } = require("node:sqlite");',
+    `const db = new DatabaseSync(${JSON.stringify(dbPath)});`,
+    'db.exec("PRAGMA journal_mode = DELETE; BEGIN EXCLUSIVE; UPDATE message SET is_read = 1");',
+    'console.log("locked");',
+    `Atomics.wait(new Int32Array(new SharedArrayBuffer(4)), 0, 0, ${holdMs});`,
+    'db.exec("COMMIT");',
+  ].join("\n");
+  const child = spawn(process.execPath, ["-e", script], { stdio: ["ignore", "pipe", "inherit"] });
+  const locked = new Promise((resolve, reject) => {
+    child.stdout.once("data", resolve);
+    child.once("exit", (code) => reject(new Error(`lock holder exited with ${code}`)));
+  });
+  const exited = new Promise((resolve) => child.once("exit", resolve));
+  return { locked, exited };
+}
+
+describe("openChatDb", () => {
+  it("waits out a short write lock on the node:sqlite backend", { skip: !hasNodeSqlite }, async (t) => {
+    const sandbox = await makeSandbox();
+    t.after(() => sandbox.cleanup());
+    const fixture = await createFixtureDb(path.join(sandbox.dir, "chat.db"));
+    await fixture.insertMessage({ text: "locked row" });
+
+    const holder = holdWriteLock(fixture.path, 300);
+    await holder.locked;
+    const db = await openChatDb(fixture.path, { backend: "node" });
+    try {
+      const rows = await db.all("SELECT text, is_read FROM message");
+      assert.deepEqual(rows, [{ text: "locked row", is_read: 1 }]);
+    } finally {
+      db.close();
+      await holder.exited;
+    }
+  });
+});
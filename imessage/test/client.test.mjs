@@ -0,0 +1,158 @@
+import assert from "node:assert/strict";
+import fs from "node:fs/promises";
+import path from "node:path";
+import { after, before, describe, it } from "node:test";
+
+import { createIMessageRpcClient } from "../client-native.mjs";
+import {
+  ALICE,
+  CAROL,
+  DM_CHAT,
+  createFixtureDb,
+  findStateFile,
+  makeSandbox,
+  messageWithText,
+  readExecutorLog,
+  startRpc,
+} from "./helpers.mjs";
+
+// The in-process client runs the same core as `rpc`, so it gets the same checks as the stdio tests.
+describe("IMessageRpcClient", () => {
+  let sandbox;
+  let fixture;
+  let client;
+  let executorLog;
+  const notifications = [];
+
+  async function waitForNotification(predicate, timeoutMs = 3_000) {
+    const deadline = Date.now() + timeoutMs;
+    while (Date.now() < deadline) {
+      const found = notifications.find(predicate);
+      if (found) return found;
+      await new Promise((resolve) => setTimeout(resolve, 25));
+    }
+    throw new Error("timed out waiting for notification");
+  }
+
+  before(async () => {
+    sandbox = await makeSandbox();
+    // The core reads HOME and the state dir from the environment; each test file runs in its own process.
+    process.env.HOME = sandbox.home;
+    process.env.OPENCLAW_STATE_DIR = sandbox.stateDir;
+    // Not the default ~/Library/Messages/chat.db, so the test fails if opts.dbPath is ignored.
+    await fs.mkdir(path.join(sandbox.dir, "elsewhere"));
+    fixture = await createFixtureDb(path.join(sandbox.dir, "elsewhere", "chat.db"));
+    await fixture.insertMessage({ text: "client backlog", msAgo: 10_000 });
+    await fs.writeFile(path.join(sandbox.stateDir, "imessage-access.json"), JSON.stringify({ deny: [CAROL] }));
+    executorLog = path.join(sandbox.dir, "executor.jsonl");
+    client = await createIMessageRpcClient({
+      dbPath: fixture.path,
+      contacts: "off",
+      executor: "fixture",
+      executorLog,
+      watchMode: "poll",
+      pollIntervalMs: 100,
+      pollMaxIntervalMs: 200,
+      onNotification: (notification) => notifications.push(notification),
+    });
+  });
+
+  after(async () => {
+    await client?.stop();
+    await sandbox?.cleanup();
+  });
+
+  it("reads the database given in opts.dbPath", async () => {
+    assert.equal(client.dbPath, fixture.path);
+    const note = await waitForNotification(messageWithText("client backlog"));
+    assert.equal(note.method, "message");
+    assert.equal(note.params.message.sender, ALICE);
+    assert.equal(note.params.message.chat_id, DM_CHAT.id);
+  });
+
+  it("sends text with quotes and apostrophes through the executor, not a shell", async () => {
+    const result = await client.request("send", { to: ALICE, text: `it's "fine"` });
+    assert.equal(result.confirmed, true);
+    const entry = (await readExecutorLog(executorLog)).filter((e) => e.tool === "osascript").at(-1);
+    assert.ok(entry.args[1].includes(`send "it's \\"fine\\"" to theChat`));
+  });
+
+  it("persists the poll cursor in its own state file", async () => {
+    await client.pollMessagesSqlite();
+    await new Promise((resolve) => setTimeout(resolve, 100));
+    const stateFile = await findStateFile(sandbox.stateDir, "poll-state.json", { scope: "client" });
+    const state = JSON.parse(await fs.readFile(stateFile, "utf8"));
+    assert.match(state.lastRowId, /^\d+$/);
+  });
+
+  it("runs next to the rpc server for the same account and chat.db", async (t) => {
+    const rpc = startRpc({ dbPath: fixture.path, home: sandbox.home, stateDir: sandbox.stateDir });
+    t.after(() => rpc.stop());
+    await rpc.request("watch.subscribe");
+    await rpc.waitForNotification(messageWithText("client backlog"));
+    assert.equal((await client.request("send", { to: ALICE, text: "alongside rpc" })).confirmed, true);
+  });
+
+  it("refuses attachments outside the outbound dir", async () => {
+    const outside = path.join(sandbox.dir, "secret.txt");
+    await fs.writeFile(outside, "secret");
+    await assert.rejects(
+      client.request("send", { to: ALICE, file: outside }),
+      /^Error: iMessage send: .*outside OpenClaw outbound dir/,
+    );
+  });
+
+  it("keeps the JSON-RPC error code and data on failures", async () => {
+    await assert.rejects(client.request("send", { to: CAROL, text: "hi" }), (err) => {
+      assert.equal(err.rpcCode, -32030);
+      assert.equal(err.rpcData.target, CAROL);
+      return true;
+    });
+    await assert.rejects(client.request("no.such.method"), (err) => err.rpcCode === -32601);
+  });
+});
+
+describe("IMessageRpcClient without a notification handler", () => {
+  let sandbox;
+  let fixture;
+  let client;
+
+  before(async () => {
+    sandbox = await makeSandbox();
+    process.env.HOME = sandbox.home;
+    process.env.OPENCLAW_STATE_DIR = sandbox.stateDir;
+    fixture = await createFixtureDb(path.join(sandbox.dir, "chat.db"));
+    await fixture.insertMessage({ text: "not for a send-only script", msAgo: 10_000 });
+    client = await createIMessageRpcClient({
+      dbPath: fixture.path,
+      contacts: "off",
+      executor: "fixture",
+      watchMode: "poll",
+      pollIntervalMs: 100,
+      rateLimitMode: "queue",
+      ratePerChat: "1",
+    });
+  });
+
+  after(async () => {
+    await client?.stop();
+    await sandbox?.cleanup();
+  });
+
+  it("doesn't poll or save a poll cursor", async () => {
+    assert.equal((await client.request("send", { to: ALICE, text: "one" })).confirmed, true);
+    await new Promise((resolve) => setTimeout(resolve, 300));
+    await assert.rejects(findStateFile(sandbox.stateDir, "poll-state.json", { scope: "client" }));
+  });
+
+  it("returns the queue id of a send still held by the rate limit instead of failing", async () => {
+    const result = await client.request("send", { to: ALICE, text: "two" }, { timeoutMs: 300 });
+    assert.equal(result.queued, true);
+    const { items } = await client.request("queue.list");
+    assert.deepEqual(
+      items.map((item) => [item.id, item.waiting_for]),
+      [[result.queue_id, "rate_limit"]],
+    );
+    assert.equal((await client.request("queue.cancel", { id: result.queue_id })).cancelled, true);
+  });
+});
@@ -0,0 +1,40 @@
+import assert from "node:assert/strict";
+import fs from "node:fs/promises";
+import path from "node:path";
+import { describe, it } from "node:test";
+
+import { createContactsIndex } from "../contacts.mjs";
+import { ALICE, BOB, createAddressBookFixture, makeSandbox } from "./helpers.mjs";
+
+describe("createContactsIndex", () => {
+  it("indexes names by normalized handle", async (t) => {
+    const sandbox = await makeSandbox();
+    t.after(() => sandbox.cleanup());
+    const store = await createAddressBookFixture(path.join(sandbox.dir, "AddressBook-v22.abcddb"), [
+      { first: "Alice", last: "Smith", phones: ["(555) 123-4567"] },
+      { organization: "Example Inc", emails: ["Bob@Example.com"] },
+    ]);
+    const index = createContactsIndex({ location: store });
+    await index.refresh({ force: true });
+    assert.equal(index.lookup(ALICE)?.name, "Alice Smith");
+    assert.equal(index.lookup("555.123.4567")?.name, "Alice Smith");
+    assert.equal(index.lookup(BOB)?.name, "Example Inc");
+    assert.equal(index.lookup("+15550000000"), null);
+  });
+
+  it("keeps the names it has when a store can't be re-read", async (t) => {
+    const sandbox = await makeSandbox();
+    t.after(() => sandbox.cleanup());
+    const store = await createAddressBookFixture(path.join(sandbox.dir, "AddressBook-v22.abcddb"), [
+      { first: "Alice", last: "Smith", phones: [ALICE] },
+    ]);
+    const lines = [];
+    const index = createContactsIndex({ location: store, log: (line) => lines.push(line) });
+    await index.refresh({ force: true });
+
+    await fs.writeFile(store, "not a database");
+    await index.refresh({ force: true });
+    assert.equal(index.lookup(ALICE)?.name, "Alice Smith");
+    assert.ok(lines.some((line) => line.includes("keeping the names read before")));
+  });
+});
@@ -0,0 +1,42 @@
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+
+import { looksLikeHandle, normalizeHandle } from "../handles.mjs";
+
+describe("normalizeHandle", () => {
+  it("formats phone numbers as E.164 in the default country", () => {
+    for (const typed of ["(555) 123-4567", "1-555-123-4567", "tel:+1 555 123 4567", "555.123.4567"]) {
+      assert.equal(normalizeHandle(typed), "+15551234567", typed);
+    }
+  });
+
+  it("handles international prefixes and trunk zeros", () => {
+    assert.equal(normalizeHandle("+44 (0)20 7946 0958"), "+442079460958");
+    assert.equal(normalizeHandle("011 44 20 7946 0958"), "+442079460958");
+    assert.equal(normalizeHandle("020 7946 0958", { defaultCountry: "GB" }), "+442079460958");
+    assert.equal(normalizeHandle("00 49 30 1234567", { defaultCountry: "DE" }), "+49301234567");
+    assert.equal(normalizeHandle("06 12 34 56 78", { defaultCountry: "33" }), "+33612345678");
+  });
+
+  it("lowercases emails and drops mailto:", () => {
+    assert.equal(normalizeHandle("Alice@Example.COM"), "alice@example.com");
+    assert.equal(normalizeHandle("mailto:bob@example.com"), "bob@example.com");
+  });
+
+  it("keeps numbers it can't place as digits and leaves chat ids alone", () => {
+    assert.equal(normalizeHandle("12345"), "12345");
+    assert.equal(normalizeHandle("555 1234"), "5551234");
+    assert.equal(normalizeHandle("chat123456"), "chat123456");
+    assert.equal(normalizeHandle("iMessage;-;+15551234567"), "iMessage;-;+15551234567");
+  });
+});
+
+describe("looksLikeHandle", () => {
+  it("accepts phone numbers and emails, not chat ids or guids", () => {
+    assert.equal(looksLikeHandle("(555) 123-4567"), true);
+    assert.equal(looksLikeHandle("bob@example.com"), true);
+    assert.equal(looksLikeHandle("chat123456"), false);
+    assert.equal(looksLikeHandle("iMessage;-;+15551234567"), false);
+    assert.equal(looksLikeHandle(""), false);
+  });
+});
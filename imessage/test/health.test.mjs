@@ -0,0 +1,136 @@
+import assert from "node:assert/strict";
+import fs from "node:fs/promises";
+import path from "node:path";
+import { after, before, describe, it } from "node:test";
+
+import { ALICE, CAROL, createFixtureDb, makeSandbox, messageWithText, startRpc } from "./helpers.mjs";
+
+const manifest = JSON.parse(await fs.readFile(new URL("../.clawhub.json", import.meta.url), "utf8"));
+
+async function waitFor(check, { timeoutMs = 5_000 } = {}) {
+  const deadline = Date.now() + timeoutMs;
+  for (;;) {
+    const value = await check();
+    if (value) return value;
+    if (Date.now() > deadline) throw new Error("timed out waiting for condition");
+    await new Promise((resolve) => setTimeout(resolve, 50));
+  }
+}
+
+describe("health and status", () => {
+  let sandbox;
+  let fixture;
+  let rpc;
+
+  before(async () => {
+    sandbox = await makeSandbox();
+    fixture = await createFixtureDb(path.join(sandbox.dir, "chat.db"));
+    await fs.writeFile(path.join(sandbox.stateDir, "imessage-access.json"), JSON.stringify({ deny: [CAROL] }));
+    rpc = startRpc({ dbPath: fixture.path, home: sandbox.home, stateDir: sandbox.stateDir });
+  });
+
+  after(async () => {
+    await rpc?.stop();
+    await sandbox?.cleanup();
+  });
+
+  it("reports version, executor and an idle poller before subscribing", async () => {
+    const { result } = await rpc.request("status");
+    assert.equal(result.version, manifest.version);
+    assert.equal(result.executor, "fixture");
+    assert.equal(result.db_path, fixture.path);
+    assert.equal(result.watch.subscribed, false);
+    assert.equal(result.poll.total, 0);
+    assert.equal(result.queue.depth, 0);
+  });
+
+  it("passes health checks against a readable database", async () => {
+    await fixture.insertMessage({ text: "hello" });
+    const { result } = await rpc.request("health");
+    assert.equal(result.ok, true);
+    assert.equal(result.version, manifest.version);
+    assert.equal(result.checks.database.ok, true);
+    assert.equal(result.checks.database.max_row_id, 1);
+    // Not asked under the fixture executor.
+    assert.equal(result.checks.messages_app.running, null);
+    assert.equal(result.checks.poller.ok, true);
+  });
+
+  it("tracks polls, the cursor and notifications once subscribed", async () => {
+    await rpc.request("watch.subscribe");
+    await rpc.waitForNotification(messageWithText("hello"));
+    const { result } = await waitFor(async () => {
+      const res = await rpc.request("status");
+      return res.result.poll.last_success_at ? res : null;
+    });
+    assert.equal(result.watch.subscribed, true);
+    assert.ok(result.poll.total >= 1);
+    assert.equal(result.poll.errors, 0);
+    assert.equal(typeof result.poll.last_duration_ms, "number");
+    assert.equal(result.cursor.row_id, "1");
+    assert.ok(!Number.isNaN(Date.parse(result.cursor.at)));
+    assert.equal(result.notifications.message, 1);
+  });
+
+  it("counts sends by outcome", async () => {
+    assert.equal((await rpc.request("send", { to: ALICE, text: "one" })).result.ok, true);
+    assert.equal((await rpc.request("send", { to: CAROL, text: "two" })).error.code, -32030);
+    const { result } = await rpc.request("status");
+    assert.equal(result.sends.sent, 1);
+    assert.equal(result.sends.failed, 0);
+    assert.equal(result.sends.blocked, 1);
+    assert.equal(result.queue.depth, 0);
+  });
+
+  it("fails the database check once chat.db can't be read", async (t) => {
+    const broken = await createFixtureDb(path.join(sandbox.dir, "broken.db"));
+    const other = startRpc({
+      dbPath: broken.path,
+      home: sandbox.home,
+      stateDir: path.join(sandbox.dir, "state-broken"),
+    });
+    t.after(() => other.stop());
+    assert.equal((await other.request("health")).result.ok, true);
+    // Overwritten in place, so an already open handle sees it too.
+    await fs.writeFile(broken.path, "not a database, not even close to one".repeat(200));
+    const { result } = await other.request("health");
+    assert.equal(result.ok, false);
+    assert.equal(result.checks.database.ok, false);
+    assert.ok(result.checks.database.error);
+  });
+});
+
+describe("--metrics-file", () => {
+  it("writes Prometheus text metrics on an interval", async (t) => {
+    const sandbox = await makeSandbox();
+    const fixture = await createFixtureDb(path.join(sandbox.dir, "chat.db"));
+    const metricsFile = path.join(sandbox.dir, "metrics", "imessage.prom");
+    const rpc = startRpc({
+      dbPath: fixture.path,
+      home: sandbox.home,
+      stateDir: sandbox.stateDir,
+      args: ["--metrics-file", metricsFile, "--metrics-interval-ms", "100"],
+    });
+    t.after(async () => {
+      await rpc.stop();
+      await sandbox.cleanup();
+    });
+
+    await rpc.request("watch.subscribe");
+    const text = await waitFor(async () => {
+      const body = await fs.readFile(metricsFile, "utf8").catch(() => "");
+      return /^imessage_last_poll_success_timestamp_seconds /m.test(body) ? body : null;
+    });
+    assert.ok(text.includes(`imessage_build_info{version="${manifest.version}",executor="fixture"} 1\n`));
+    assert.match(text, /^# TYPE imessage_polls_total counter$/m);
+    assert.match(text, /^imessage_database_readable 1$/m);
+    assert.match(text, /^imessage_subscribed 1$/m);
+    assert.match(text, /^imessage_outbound_queue_depth 0$/m);
+    assert.match(text, /^imessage_sends_total\{outcome="sent"\} 0$/m);
+    assert.match(text, /^imessage_polls_total [1-9]\d*$/m);
+    assert.doesNotMatch(text, /imessage_messages_app_running/);
+    for (const line of text.trim().split("\n")) {
+      assert.match(line, /^(# (HELP|TYPE) \w+ .+|\w+(\{[^}]*\})? -?\d+(\.\d+)?(e[+-]?\d+)?)$/);
+    }
+  });
+});
@@ -0,0 +1,456 @@
+/*
+ * Shared fixtures for the `node --test` suite: a synthetic chat.db and a driver for `rpc`.
+ *
+ * The fixture uses the real Messages table layout (only the columns the runtime reads, plus the ones
+ * Messages always fills). Writes go through chat-db.mjs in writable mode, so they work on Node 22
+ * (node:sqlite) and, through the sqlite3 CLI, on older runtimes.
+ *
+ * Each runtime gets its own HOME and OPENCLAW_STATE_DIR under a temp dir, `--contacts off` and the
+ * "fixture" executor (executors.mjs), so nothing touches Messages.app or the real databases.
+ */
+
+import { spawn } from "node:child_process";
+import fs from "node:fs/promises";
+import os from "node:os";
+import path from "node:path";
+import { createInterface } from "node:readline";
+import { fileURLToPath } from "node:url";
+
+import { openChatDb, unixMsToAppleNs } from "../chat-db.mjs";
+import { createExecutor } from "../executors.mjs";
+
+const RUNTIME = fileURLToPath(new URL("../native-applescript.mjs", import.meta.url));
+
+const SCHEMA = [
+  `CREATE TABLE handle (ROWID INTEGER PRIMARY KEY AUTOINCREMENT UNIQUE, id TEXT NOT NULL, country TEXT,
+     service TEXT NOT NULL, uncanonicalized_id TEXT, person_centric_id TEXT, UNIQUE (id, service))`,
+  `CREATE TABLE chat (ROWID INTEGER PRIMARY KEY AUTOINCREMENT, guid TEXT UNIQUE NOT NULL, style INTEGER,
+     state INTEGER, account_id TEXT, properties BLOB, chat_identifier TEXT, service_name TEXT, room_name TEXT,
+     account_login TEXT, is_archived INTEGER DEFAULT 0, last_addressed_handle TEXT, display_name TEXT,
+     group_id TEXT, is_filtered INTEGER DEFAULT 0, successful_query INTEGER)`,
+  `CREATE TABLE message (ROWID INTEGER PRIMARY KEY AUTOINCREMENT, guid TEXT UNIQUE NOT NULL, text TEXT,
+     handle_id INTEGER DEFAULT 0, subject TEXT, attributedBody BLOB, type INTEGER DEFAULT 0, service TEXT,
+     error INTEGER DEFAULT 0, date INTEGER, date_read INTEGER, date_delivered INTEGER,
+     is_delivered INTEGER DEFAULT 0, is_finished INTEGER DEFAULT 0, is_from_me INTEGER DEFAULT 0,
+     is_read INTEGER DEFAULT 0, is_sent INTEGER DEFAULT 0, cache_has_attachments INTEGER DEFAULT 0,
+     cache_roomnames TEXT, item_type INTEGER DEFAULT 0, other_handle INTEGER DEFAULT 0, group_title TEXT,
+     associated_message_guid TEXT, associated_message_type INTEGER DEFAULT 0, reply_to_guid TEXT,
+     thread_originator_guid TEXT, thread_originator_part TEXT, date_edited INTEGER DEFAULT 0,
+     date_retracted INTEGER DEFAULT 0)`,
+  `CREATE TABLE chat_handle_join (chat_id INTEGER REFERENCES chat (ROWID) ON DELETE CASCADE,
+     handle_id INTEGER REFERENCES handle (ROWID) ON DELETE CASCADE, UNIQUE (chat_id, handle_id))`,
+  `CREATE TABLE chat_message_join (chat_id INTEGER REFERENCES chat (ROWID) ON DELETE CASCADE,
+     message_id INTEGER REFERENCES message (ROWID) ON DELETE CASCADE, message_date INTEGER DEFAULT 0,
+     PRIMARY KEY (chat_id, message_id))`,
+  `CREATE TABLE attachment (ROWID INTEGER PRIMARY KEY AUTOINCREMENT, guid TEXT UNIQUE NOT NULL,
+     created_date INTEGER DEFAULT 0, start_date INTEGER DEFAULT 0, filename TEXT, uti TEXT, mime_type TEXT,
+     transfer_state INTEGER DEFAULT 0, is_outgoing INTEGER DEFAULT 0, user_info BLOB, transfer_name TEXT,
+     total_bytes INTEGER DEFAULT 0)`,
+  `CREATE TABLE message_attachment_join (message_id INTEGER REFERENCES message (ROWID) ON DELETE CASCADE,
+     attachment_id INTEGER REFERENCES attachment (ROWID) ON DELETE CASCADE, UNIQUE (message_id, attachment_id))`,
+];
+
+// Handles and chats every fixture starts with: a DM, a group and an SMS DM.
+export const ALICE = "+15551234567";
+export const BOB = "bob@example.com";
+export const CAROL = "+15557654321";
+export const DM_CHAT = { id: 1, guid: `iMessage;-;${ALICE}`, identifier: ALICE };
+export const GROUP_CHAT = { id: 2, guid: "iMessage;+;chat123456", identifier: "chat123456" };
+export const SMS_CHAT = { id: 3, guid: `SMS;-;${CAROL}`, identifier: CAROL };
+
+const SEED = [
+  `INSERT INTO handle (ROWID, id, service) VALUES (1, '${ALICE}', 'iMessage'), (2, '${BOB}', 'iMessage'),
+     (3, '${CAROL}', 'SMS')`,
+  `INSERT INTO chat (ROWID, guid, style, chat_identifier, service_name, room_name, display_name) VALUES
+     (1, '${DM_CHAT.guid}', 45, '${ALICE}', 'iMessage', NULL, ''),
+     (2, '${GROUP_CHAT.guid}', 43, '${GROUP_CHAT.identifier}', 'iMessage', '${GROUP_CHAT.identifier}', 'Team'),
+     (3, '${SMS_CHAT.guid}', 45, '${CAROL}', 'SMS', NULL, '')`,
+  "INSERT INTO chat_handle_join (chat_id, handle_id) VALUES (1, 1), (2, 1), (2, 2), (3, 3)",
+  // insertMessage() reserves message ROWIDs from here (see there).
+  "INSERT INTO sqlite_sequence (name, seq) VALUES ('message', 0)",
+];
+
+function runSqlite3(args, opts) {
+  return createExecutor().run("sqlite3", args, opts);
+}
+
+/** Apple epoch ns for `msAgo` milliseconds before now (chat.db's `message.date`). */
+export function appleNsAgo(msAgo = 0) {
+  return unixMsToAppleNs(BigInt(Date.now() - msAgo));
+}
+
+/** A temp dir with home/ and state/ subdirs; removed by the returned cleanup(). */
+export async function makeSandbox() {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), "imessage-test-"));
+  const home = path.join(dir, "home");
+  const stateDir = path.join(dir, "state");
+  await fs.mkdir(home, { recursive: true });
+  await fs.mkdir(stateDir, { recursive: true });
+  return { dir, home, stateDir, cleanup: () => fs.rm(dir, { recursive: true, force: true }) };
+}
+
+/**
+ * Fixture chat.db at `dbPath` (WAL mode, like the real one) with the seed handles and chats. Returns
+ * helpers that insert rows the way Messages does; each resolves to the new message ROWID.
+ */
+export async function createFixtureDb(dbPath) {
+  const db = await openChatDb(dbPath, { writable: true, sqlite3: runSqlite3 });
+  await db.all("PRAGMA journal_mode = WAL");
+  for (const sql of [...SCHEMA, ...SEED]) await db.all(sql);
+  db.close();
+
+  let nextGuid = 1;
+  async function write(fn) {
+    const conn = await openChatDb(dbPath, { writable: true, sqlite3: runSqlite3 });
+    try {
+      return await fn(conn);
+    } finally {
+      conn.close();
+    }
+  }
+
+  // `sender` is a handle id (ignored for is_from_me rows' sender, but used as handle_id like Messages).
+  async function insertMessage({
+    chatId = DM_CHAT.id,
+    sender = ALICE,
+    text = null,
+    isFromMe = false,
+    service = "iMessage",
+    msAgo = 0,
+    guid = `FIXTURE-${nextGuid++}`,
+    attachments = [],
+    extra = {},
+  } = {}) {
+    const date = appleNsAgo(msAgo);
+    return await write(async (conn) => {
+      // The runtime may poll between these statements. Reserving the ROWID up front lets the joins go in
+      // first, so the message row never shows up without its chat; fixture sends can't take the same id.
+      // node:sqlite enforces foreign keys, which the joins would fail until the row exists.
+      await conn.all("PRAGMA foreign_keys = OFF");
+      const { id } = await conn.get(
+        "UPDATE sqlite_sequence SET seq = seq + 1 WHERE name = 'message' RETURNING seq AS id",
+      );
+      await conn.all("INSERT INTO chat_message_join (chat_id, message_id, message_date) VALUES ($chat, $id, $date)", {
+        chat: chatId,
+        id,
+        date,
+      });
+      for (const [index, att] of attachments.entries()) {
+        const attachmentGuid = `${guid}-ATT-${index}`;
+        await conn.all(
+          `INSERT INTO attachment (guid, filename, mime_type, transfer_name, total_bytes)
+           VALUES ($guid, $filename, $mime, $name, 0)`,
+          {
+            guid: attachmentGuid,
+            filename: att.filename,
+            mime: att.mimeType ?? null,
+            name: att.transferName ?? path.basename(att.filename),
+          },
+        );
+        await conn.all(
+          `INSERT INTO message_attachment_join (message_id, attachment_id)
+           SELECT $id, ROWID FROM attachment WHERE guid = $guid`,
+          { id, guid: attachmentGuid },
+        );
+      }
+      const columns = { guid, text, service, date, is_from_me: isFromMe ? 1 : 0, ...extra };
+      columns.cache_has_attachments = attachments.length ? 1 : 0;
+      const names = Object.keys(columns);
+      // Messages denormalizes the group's room name onto each of its messages.
+      await conn.all(
+        `INSERT INTO message (ROWID, ${names.join(", ")}, handle_id, cache_roomnames)
+         VALUES ($id, ${names.map((name) => `$${name}`).join(", ")},
+                 COALESCE((SELECT ROWID FROM handle WHERE id = $sender LIMIT 1), 0),
+                 (SELECT room_name FROM chat WHERE ROWID = $chat))`,
+        { ...columns, id, sender, chat: chatId },
+      );
+      return Number(id);
+    });
+  }
+
+  return {
+    path: dbPath,
+    insertMessage,
+    /** Run a single SQL statement against the fixture (e.g. to flip delivery state). */
+    exec: (sql, params = {}) => write((conn) => conn.all(sql, params)),
+  };
+}
+
+/**
+ * AddressBook store at `storePath` with the tables contacts.mjs reads. `people` are
+ * { first, last, nickname, organization, phones: [], emails: [] }.
+ */
+export async function createAddressBookFixture(storePath, people) {
+  const db = await openChatDb(storePath, { writable: true, sqlite3: runSqlite3 });
+  try {
+    await db.all(
+      "CREATE TABLE ZABCDRECORD (Z_PK INTEGER PRIMARY KEY, ZFIRSTNAME TEXT, ZLASTNAME TEXT, ZNICKNAME TEXT, ZORGANIZATION TEXT)",
+    );
+    await db.all("CREATE TABLE ZABCDPHONENUMBER (Z_PK INTEGER PRIMARY KEY, ZOWNER INTEGER, ZFULLNUMBER TEXT)");
+    await db.all("CREATE TABLE ZABCDEMAILADDRESS (Z_PK INTEGER PRIMARY KEY, ZOWNER INTEGER, ZADDRESS TEXT)");
+    for (const [index, person] of people.entries()) {
+      const id = index + 1;
+      await db.all(
+        "INSERT INTO ZABCDRECORD VALUES ($id, $first, $last, $nickname, $organization)",
+        {
+          id,
+          first: person.first ?? null,
+          last: person.last ?? null,
+          nickname: person.nickname ?? null,
+          organization: person.organization ?? null,
+        },
+      );
+      for (const phone of person.phones ?? []) {
+        await db.all("INSERT INTO ZABCDPHONENUMBER (ZOWNER, ZFULLNUMBER) VALUES ($id, $phone)", { id, phone });
+      }
+      for (const email of person.emails ?? []) {
+        await db.all("INSERT INTO ZABCDEMAILADDRESS (ZOWNER, ZADDRESS) VALUES ($id, $email)", { id, email });
+      }
+    }
+  } finally {
+    db.close();
+  }
+  return storePath;
+}
+
+/**
+ * An attributedBody blob for `text`, laid out the way imagent archives it (see attributed-body.mjs).
+ * `runs` are { length, attributes } in UTF-16 units; attribute values are strings or integers. The
+ * default is one run marking the whole text as message part 0.
+ */
+export function encodeAttributedBody(
+  text,
+  runs = [{ length: text.length, attributes: { __kIMMessagePartAttributeName: 0 } }],
+) {
+  const bytes = [];
+  const strings = [];
+  const classes = new Map();
+  let objectCount = 0;
+
+  const integer = (n) => {
+    if (n >= 0 && n < 0x80) return bytes.push(n);
+    const buf = Buffer.alloc(n >= -0x8000 && n < 0x8000 ? 2 : 4);
+    if (buf.length === 2) buf.writeInt16LE(n);
+    else buf.writeInt32LE(n);
+    bytes.push(buf.length === 2 ? 0x81 : 0x82, ...buf);
+  };
+  // Shared strings and objects are referenced by table index, offset by -110 (see FIRST_REFERENCE).
+  const reference = (index) => bytes.push((index - 110) & 0xff);
+  const unshared = (buf) => {
+    integer(buf.length);
+    bytes.push(...buf);
+  };
+  const sharedString = (str) => {
+    if (strings.includes(str)) return reference(strings.indexOf(str));
+    bytes.push(0x84);
+    unshared(Buffer.from(str, "utf8"));
+    strings.push(str);
+  };
+  const classChain = (names) => {
+    for (const name of names) {
+      if (classes.has(name)) return reference(classes.get(name));
+      bytes.push(0x84);
+      sharedString(name);
+      // Class versions as Foundation writes them.
+      integer(name === "NSString" ? 1 : 0);
+      classes.set(name, objectCount++);
+    }
+    bytes.push(0x85);
+  };
+  const object = (names, writeGroups) => {
+    bytes.push(0x84);
+    objectCount++;
+    classChain([...names, "NSObject"]);
+    writeGroups();
+    bytes.push(0x86);
+  };
+  const group = (encoding, writeValues) => {
+    sharedString(encoding);
+    writeValues();
+  };
+  // C strings take an object slot and are referenced from there when repeated.
+  const cStrings = new Map();
+  const cString = (str) => {
+    if (cStrings.has(str)) return reference(cStrings.get(str));
+    bytes.push(0x84);
+    sharedString(str);
+    cStrings.set(str, objectCount++);
+  };
+  const string = (str) => object(["NSString"], () => group("+", () => unshared(Buffer.from(str, "utf8"))));
+  // NSNumber archives its objCType as a C string, then the value in that type.
+  const value = (val) =>
+    typeof val === "number"
+      ? object(["NSNumber", "NSValue"], () => {
+          group("*", () => cString("q"));
+          group("q", () => integer(val));
+        })
+      : string(val);
+
+  integer(4);
+  unshared(Buffer.from("streamtyped", "ascii"));
+  integer(1000);
+  group("@", () =>
+    object(["NSAttributedString"], () => {
+      group("@", () => string(text));
+      const dictionaries = [];
+      for (const run of runs) {
+        const key = JSON.stringify(run.attributes);
+        const known = dictionaries.indexOf(key);
+        group("iI", () => {
+          integer(known < 0 ? dictionaries.length + 1 : known + 1);
+          integer(run.length);
+        });
+        if (known >= 0) continue;
+        dictionaries.push(key);
+        const entries = Object.entries(run.attributes);
+        group("@", () =>
+          object(["NSDictionary"], () => {
+            group("i", () => integer(entries.length));
+            for (const [name, val] of entries) {
+              group("@", () => string(name));
+              group("@", () => value(val));
+            }
+          }),
+        );
+      }
+    }),
+  );
+  return Buffer.from(bytes);
+}
+
+/**
+ * Spawn `native-applescript.mjs rpc` against `dbPath`. Responses resolve request(); notifications
+ * collect in `notifications` and can be awaited with waitForNotification().
+ */
+export function startRpc({ dbPath, home, stateDir, args = [], env = {} }) {
+  const child = spawn(
+    process.execPath,
+    [
+      "--no-warnings",
+      RUNTIME,
+      "rpc",
+      "--db",
+      dbPath,
+      "--contacts",
+      "off",
+      "--executor",
+      "fixture",
+      "--watch-mode",
+      "poll",
+      "--poll-interval-ms",
+      "100",
+      "--poll-max-interval-ms",
+      "200",
+      ...args,
+    ],
+    {
+      env: { ...process.env, HOME: home, OPENCLAW_STATE_DIR: stateDir, OPENCLAW_IMESSAGE_DEBUG: "", ...env },
+      stdio: ["pipe", "pipe", "pipe"],
+    },
+  );
+
+  const pending = new Map();
+  const notifications = [];
+  const waiters = new Set();
+  const stdoutLines = [];
+  let stderr = "";
+  let nextId = 1;
+
+  child.stderr.on("data", (chunk) => {
+    stderr += chunk;
+  });
+  createInterface({ input: child.stdout }).on("line", (line) => {
+    stdoutLines.push(line);
+    const msg = JSON.parse(line);
+    if (msg.id != null && pending.has(msg.id)) {
+      pending.get(msg.id)(msg);
+      pending.delete(msg.id);
+      return;
+    }
+    notifications.push(msg);
+    for (const waiter of waiters) waiter();
+  });
+  const exited = new Promise((resolve) => child.on("exit", (code) => resolve(code)));
+
+  return {
+    child,
+    notifications,
+    stdoutLines,
+    get stderr() {
+      return stderr;
+    },
+
+    /** Write a raw line to stdin (for malformed input). */
+    writeLine(line) {
+      child.stdin.write(`${line}\n`);
+    },
+
+    /** Send a request and resolve to the full JSON-RPC response ({ result } or { error }). */
+    request(method, params = {}, { timeoutMs = 15_000 } = {}) {
+      const id = nextId++;
+      return new Promise((resolve, reject) => {
+        const timer = setTimeout(() => {
+          pending.delete(id);
+          reject(new Error(`${method} timed out after ${timeoutMs}ms\n${stderr}`));
+        }, timeoutMs);
+        pending.set(id, (msg) => {
+          clearTimeout(timer);
+          resolve(msg);
+        });
+        child.stdin.write(`${JSON.stringify({ jsonrpc: "2.0", id, method, params })}\n`);
+      });
+    },
+
+    /** First notification (already received or upcoming) matching `predicate`. */
+    waitForNotification(predicate, { timeoutMs = 10_000 } = {}) {
+      const found = notifications.find(predicate);
+      if (found) return Promise.resolve(found);
+      return new Promise((resolve, reject) => {
+        const check = () => {
+          const match = notifications.find(predicate);
+          if (!match) return;
+          waiters.delete(check);
+          clearTimeout(timer);
+          resolve(match);
+        };
+        const timer = setTimeout(() => {
+          waiters.delete(check);
+          reject(new Error(`No matching notification within ${timeoutMs}ms\n${stderr}`));
+        }, timeoutMs);
+        waiters.add(check);
+      });
+    },
+
+    /** Close stdin (the runtime's shutdown signal) and wait for the process to exit. */
+    async stop() {
+      child.stdin.end();
+      const timer = setTimeout(() => child.kill("SIGKILL"), 5_000);
+      const code = await exited;
+      clearTimeout(timer);
+      return code;
+    },
+  };
+}
+
+/** Notification predicate for a `message` with the given text. */
+export function messageWithText(text) {
+  return (msg) => msg.method === "message" && msg.params?.message?.text === text;
+}
+
+/** Path of an account's `name` state file (e.g. "poll-state.json") in stateDir; `scope` as in core.mjs. */
+export async function findStateFile(stateDir, name, { account = "default", scope } = {}) {
+  const prefix = `imessage-${account}-[0-9a-f]{8}${scope ? `-${scope}` : ""}`;
+  const pattern = new RegExp(`^${prefix}-${name.replace(/\./g, "\\.")}$`);
+  const found = (await fs.readdir(stateDir)).filter((file) => pattern.test(file));
+  if (found.length !== 1) throw new Error(`expected one ${name} state file, found ${found.length}`);
+  return path.join(stateDir, found[0]);
+}
+
+/** Lines of the fixture executor's log (`--executor-log`), parsed. */
+export async function readExecutorLog(logFile) {
+  const raw = await fs.readFile(logFile, "utf8").catch(() => "");
+  return raw
+    .split("\n")
+    .filter(Boolean)
+    .map((line) => JSON.parse(line));
+}
@@ -0,0 +1,118 @@
+import assert from "node:assert/strict";
+import fs from "node:fs/promises";
+import path from "node:path";
+import { describe, it } from "node:test";
+
+import { createLogger } from "../log.mjs";
+import { ALICE, CAROL, SMS_CHAT, createFixtureDb, makeSandbox, messageWithText, startRpc } from "./helpers.mjs";
+
+function captureStream() {
+  const lines = [];
+  return {
+    lines,
+    entries: () => lines.map((line) => JSON.parse(line)),
+    write: (chunk) => lines.push(...chunk.split("\n").filter(Boolean)),
+  };
+}
+
+describe("createLogger", () => {
+  it("writes JSON lines at or above the level, tagged with the component", () => {
+    const stream = captureStream();
+    const log = createLogger({ level: "info", stream });
+    log.debug("hidden");
+    log.child("poll").warn("lookup failed", { error: "boom", row_id: 5n });
+    const [entry, ...rest] = stream.entries();
+    assert.equal(rest.length, 0);
+    assert.equal(entry.level, "warn");
+    assert.equal(entry.component, "poll");
+    assert.equal(entry.msg, "lookup failed");
+    assert.equal(entry.row_id, "5");
+    assert.ok(!Number.isNaN(Date.parse(entry.ts)));
+  });
+
+  it("redacts message content and handles unless told not to", () => {
+    const stream = captureStream();
+    const fields = { text: "meet at 5", target: ALICE, send: { to: ALICE }, error: "failed\nsend \"meet at 5\"" };
+    createLogger({ stream }).info("sent", fields);
+    createLogger({ stream }).info("sent", { target: ALICE });
+    createLogger({ stream, redact: false }).info("sent", fields);
+    const [redacted, again, plain] = stream.entries();
+    assert.equal(redacted.text, "<redacted 9 chars>");
+    assert.match(redacted.target, /^<redacted [0-9a-f]{8}>$/);
+    assert.equal(redacted.send.to, redacted.target);
+    assert.equal(again.target, redacted.target, "hashes are stable, so entries can be correlated");
+    assert.equal(redacted.error, "failed");
+    assert.ok(!stream.lines[0].includes(ALICE));
+    assert.equal(plain.text, fields.text);
+    assert.equal(plain.target, ALICE);
+    assert.equal(plain.error, fields.error);
+  });
+
+  it("hands lines to runtime sinks, falling back to info and then stderr", () => {
+    const stream = captureStream();
+    const seen = [];
+    const sinks = { info: (line) => seen.push(["info", JSON.parse(line)]) };
+    const log = createLogger({ level: "debug", stream, sinks });
+    log.info("one");
+    log.error("two");
+    log.debug("three");
+    assert.deepEqual(seen.map(([sink, entry]) => [sink, entry.level, entry.msg]), [
+      ["info", "info", "one"],
+      ["info", "error", "two"],
+    ]);
+    assert.equal(stream.entries()[0].msg, "three");
+  });
+
+  it("adapts `[component] message` callbacks", () => {
+    const stream = captureStream();
+    createLogger({ stream }).lines()("[contacts] indexed 3 handle(s)");
+    const [entry] = stream.entries();
+    assert.equal(entry.component, "contacts");
+    assert.equal(entry.msg, "indexed 3 handle(s)");
+  });
+
+  it("rotates the log file once it passes maxBytes", async (t) => {
+    const sandbox = await makeSandbox();
+    t.after(() => sandbox.cleanup());
+    const file = path.join(sandbox.stateDir, "logs", "imessage.jsonl");
+    const log = createLogger({ file, maxBytes: 200, maxFiles: 2 });
+    for (let i = 0; i < 12; i++) log.info(`entry ${i}`, { padding: "x".repeat(40) });
+    const names = (await fs.readdir(path.dirname(file))).sort();
+    assert.deepEqual(names, ["imessage.jsonl", "imessage.jsonl.1", "imessage.jsonl.2"]);
+    const current = (await fs.readFile(file, "utf8")).trim().split("\n").map((l) => JSON.parse(l));
+    assert.equal(current.at(-1).msg, "entry 11");
+    assert.ok((await fs.stat(file)).size <= 200);
+  });
+});
+
+describe("rpc logging", () => {
+  it("keeps message text and handles out of stderr", async (t) => {
+    const sandbox = await makeSandbox();
+    const fixture = await createFixtureDb(path.join(sandbox.dir, "chat.db"));
+    await fs.writeFile(path.join(sandbox.stateDir, "imessage-access.json"), JSON.stringify({ deny: [ALICE] }));
+    const rpc = startRpc({
+      dbPath: fixture.path,
+      home: sandbox.home,
+      stateDir: sandbox.stateDir,
+      env: { OPENCLAW_IMESSAGE_LOG_LEVEL: "debug" },
+    });
+    t.after(async () => {
+      await rpc.stop();
+      await sandbox.cleanup();
+    });
+
+    await rpc.request("watch.subscribe");
+    await fixture.insertMessage({ text: "private words" });
+    await fixture.insertMessage({ chatId: SMS_CHAT.id, sender: CAROL, service: "SMS", text: "marker" });
+    await rpc.waitForNotification(messageWithText("marker"));
+    const blocked = await rpc.request("send", { to: ALICE, text: "private reply" });
+    assert.equal(blocked.error.code, -32030);
+
+    const entries = rpc.stderr.trim().split("\n").map((line) => JSON.parse(line));
+    assert.ok(entries.some((e) => e.component === "access" && e.msg === "blocked message"));
+    assert.ok(entries.some((e) => e.component === "access" && e.msg === "blocked send"));
+    assert.ok(entries.some((e) => e.component === "poll" && e.level === "debug"));
+    assert.ok(!rpc.stderr.includes("private"));
+    assert.ok(!rpc.stderr.includes(ALICE));
+  });
+});
@@ -0,0 +1,113 @@
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+
+import { chunkText, formatOutboundText, markdownToPlainText } from "../outbound-format.mjs";
+
+describe("markdownToPlainText", () => {
+  it("renders Markdown the way it reads in a message", () => {
+    const markdown = [
+      "# Plan",
+      "",
+      "**Bold** and _em_ and ~~gone~~ and `code_x`",
+      "",
+      "- one",
+      "  - nested",
+      "1. first",
+      "2. second",
+      "",
+      "[site](https://example.com) <https://a.b> ![img](https://x.y/p.png)",
+      "",
+      "> quoted",
+      "",
+      "```js",
+      "const a = **b**;",
+      "```",
+      "",
+      "| a | b |",
+      "|---|---|",
+      "| 1 | 2 |",
+    ].join("\n");
+    assert.equal(
+      markdownToPlainText(markdown),
+      [
+        "Plan",
+        "",
+        "Bold and em and gone and code_x",
+        "",
+        "• one",
+        "  • nested",
+        "1. first",
+        "2. second",
+        "",
+        "site (https://example.com) https://a.b img (https://x.y/p.png)",
+        "",
+        "quoted",
+        "",
+        "const a = **b**;",
+        "",
+        "a | b",
+        "1 | 2",
+      ].join("\n"),
+    );
+  });
+});
+
+describe("chunkText", () => {
+  it("keeps short text whole and drops empty text", () => {
+    assert.deepEqual(chunkText("  hello  "), ["hello"]);
+    assert.deepEqual(chunkText("x".repeat(50), { maxChars: 0 }), ["x".repeat(50)]);
+    assert.deepEqual(chunkText(" \n "), []);
+  });
+
+  it("joins paragraphs while they fit", () => {
+    assert.deepEqual(chunkText("One.\n\nTwo.\n\nThree is longer.", { maxChars: 12 }), [
+      "One.\n\nTwo.",
+      "Three is",
+      "longer.",
+    ]);
+  });
+
+  it("splits a long sentence at words, never inside one that fits", () => {
+    const chunks = chunkText("Para one is here.\n\nPara two. Sentence two is longer here.", { maxChars: 20 });
+    assert.deepEqual(chunks, ["Para one is here.", "Para two.", "Sentence two is", "longer here."]);
+  });
+
+  it("cuts only a word that is longer than the limit", () => {
+    const chunks = chunkText(`Go to ${"x".repeat(25)} now. Then stop.`, { maxChars: 10 });
+    assert.deepEqual(chunks, ["Go to", "xxxxxxxxxx", "xxxxxxxxxx", "xxxxx now.", "Then stop."]);
+  });
+
+  it("numbers the chunks within the limit when asked to", () => {
+    const chunks = chunkText("Para one is here.\n\nPara two. Sentence two is longer here.", {
+      maxChars: 25,
+      markers: true,
+    });
+    assert.deepEqual(chunks, [
+      "Para one is here. (1/4)",
+      "Para two. (2/4)",
+      "Sentence two is (3/4)",
+      "longer here. (4/4)",
+    ]);
+    assert.ok(chunks.every((chunk) => chunk.length <= 25));
+  });
+
+  it("sizes the markers to the chunk count, past 100 chunks too", () => {
+    const chunks = chunkText("x".repeat(1500), { maxChars: 20, markers: true });
+    assert.equal(chunks.length, 150);
+    assert.equal(chunks[0], `${"x".repeat(10)} (1/150)`);
+    assert.equal(chunks[149], `${"x".repeat(10)} (150/150)`);
+    assert.ok(chunks.every((chunk) => chunk.length <= 20));
+
+    // Single-digit counts don't give up room they don't need.
+    const few = chunkText("x".repeat(56), { maxChars: 20, markers: true });
+    assert.deepEqual(few, [1, 2, 3, 4].map((i) => `${"x".repeat(14)} (${i}/4)`));
+  });
+});
+
+describe("formatOutboundText", () => {
+  it("leaves Markdown alone unless asked to render it", () => {
+    assert.deepEqual(formatOutboundText("**a** `b`"), ["**a** `b`"]);
+    assert.deepEqual(formatOutboundText("**a** `b`", { markdown: true }), ["a b"]);
+    assert.deepEqual(formatOutboundText(""), []);
+  });
+});
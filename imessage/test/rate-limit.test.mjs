@@ -0,0 +1,88 @@
+import assert from "node:assert/strict";
+import fs from "node:fs/promises";
+import path from "node:path";
+import { describe, it } from "node:test";
+
+import { createRateLimiter } from "../core.mjs";
+import { makeSandbox } from "./helpers.mjs";
+
+const log = { warn() {} };
+
+function limiter(options, stateFile = path.join("/nonexistent", "rate.json")) {
+  return createRateLimiter({ perChatPerMinute: 0, globalPerMinute: 0, dailyCap: 0, stateFile, log, ...options });
+}
+
+describe("createRateLimiter", () => {
+  it("lets a lane burst to its limit, then refills it over the minute", (t) => {
+    t.mock.timers.enable({ apis: ["Date"], now: Date.parse("2026-03-02T12:00:00") });
+    const limits = limiter({ perChatPerMinute: 2 });
+    assert.deepEqual(limits.tryTake("a"), { ok: true });
+    assert.deepEqual(limits.tryTake("a"), { ok: true });
+    assert.deepEqual(limits.tryTake("a"), { ok: false, limit: "chat", retryAfterMs: 30_000 });
+    assert.deepEqual(limits.tryTake("b"), { ok: true });
+    t.mock.timers.tick(30_000);
+    assert.deepEqual(limits.tryTake("a"), { ok: true });
+    assert.equal(limits.tryTake("a").ok, false);
+  });
+
+  it("shares the global limit across lanes and reports the longest wait", (t) => {
+    t.mock.timers.enable({ apis: ["Date"], now: Date.parse("2026-03-02T12:00:00") });
+    const limits = limiter({ perChatPerMinute: 1, globalPerMinute: 2 });
+    assert.equal(limits.tryTake("a").ok, true);
+    assert.equal(limits.tryTake("b").ok, true);
+    assert.deepEqual(limits.tryTake("c"), { ok: false, limit: "global", retryAfterMs: 30_000 });
+    assert.deepEqual(limits.tryTake("a"), { ok: false, limit: "chat", retryAfterMs: 60_000 });
+  });
+
+  it("reports counts no limit could ever allow as exceeded, without consuming anything", () => {
+    const limits = limiter({ perChatPerMinute: 2, globalPerMinute: 5 });
+    assert.deepEqual(limits.tryTake("a", 3), { ok: false, exceeded: true, limit: "chat", capacity: 2, count: 3 });
+    assert.deepEqual(limits.tryTake("a", 2), { ok: true });
+  });
+
+  it("leaves out the limits an option turns off", () => {
+    const limits = limiter({ perChatPerMinute: 1, dailyCap: 1 });
+    assert.equal(limits.tryTake("a", 1, { perMinute: false }).ok, true);
+    assert.equal(limits.tryTake("a", 1, { daily: false }).ok, true);
+    assert.equal(limits.tryTake("a", 1, { daily: false }).limit, "chat");
+    assert.equal(limits.tryTake("b", 1).limit, "daily");
+  });
+
+  it("keeps the daily count across restarts and resets it at local midnight", async (t) => {
+    const sandbox = await makeSandbox();
+    t.after(() => sandbox.cleanup());
+    const stateFile = path.join(sandbox.stateDir, "imessage-rate-limit.json");
+    t.mock.timers.enable({ apis: ["Date"], now: Date.parse("2026-03-02T23:00:00") });
+
+    const first = limiter({ dailyCap: 2 }, stateFile);
+    await first.load();
+    assert.equal(first.tryTake("a", 2).ok, true);
+    assert.deepEqual(first.tryTake("b"), { ok: false, limit: "daily", retryAfterMs: 3600_000 });
+    // The count is saved in the background.
+    for (let i = 0; i < 50 && !(await fs.readFile(stateFile, "utf8").catch(() => "")).includes('"count":2'); i++) {
+      await new Promise((resolve) => setImmediate(resolve));
+    }
+
+    const restarted = limiter({ dailyCap: 2 }, stateFile);
+    await restarted.load();
+    assert.equal(restarted.tryTake("a").limit, "daily");
+    t.mock.timers.tick(3600_000);
+    assert.deepEqual(restarted.tryTake("a"), { ok: true, day: "2026-03-03" });
+  });
+
+  it("gives refunded sends back to the day they were charged to only", (t) => {
+    t.mock.timers.enable({ apis: ["Date"], now: Date.parse("2026-03-02T23:00:00") });
+    const limits = limiter({ dailyCap: 2 });
+    const { day } = limits.tryTake("a", 2);
+    assert.equal(limits.tryTake("a").limit, "daily");
+    limits.refund(day, 1);
+    assert.equal(limits.tryTake("a").ok, true);
+    assert.equal(limits.tryTake("a").limit, "daily");
+
+    // Yesterday's refunds don't free up today's allowance.
+    t.mock.timers.tick(3600_000);
+    limits.tryTake("a", 2);
+    limits.refund(day, 2);
+    assert.equal(limits.tryTake("a").limit, "daily");
+  });
+});
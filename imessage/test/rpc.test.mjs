@@ -0,0 +1,103 @@
+import assert from "node:assert/strict";
+import fs from "node:fs/promises";
+import path from "node:path";
+import { after, before, describe, it } from "node:test";
+
+import { ALICE, DM_CHAT, GROUP_CHAT, createFixtureDb, makeSandbox, startRpc } from "./helpers.mjs";
+
+describe("JSON-RPC framing", () => {
+  let sandbox;
+  let fixture;
+  let rpc;
+
+  before(async () => {
+    sandbox = await makeSandbox();
+    fixture = await createFixtureDb(path.join(sandbox.dir, "chat.db"));
+    await fixture.insertMessage({ text: "first", msAgo: 20_000 });
+    await fixture.insertMessage({ text: "second", msAgo: 10_000, isFromMe: true, extra: { is_delivered: 1 } });
+    rpc = startRpc({ dbPath: fixture.path, home: sandbox.home, stateDir: sandbox.stateDir });
+  });
+
+  after(async () => {
+    await rpc?.stop();
+    await sandbox?.cleanup();
+  });
+
+  it("echoes the request id in 2.0 responses", async () => {
+    const res = await rpc.request("chats.list", { limit: 10 });
+    assert.equal(res.jsonrpc, "2.0");
+    assert.equal(typeof res.id, "number");
+    assert.deepEqual(
+      res.result.chats.map((chat) => chat.id).sort(),
+      [DM_CHAT.id, GROUP_CHAT.id, 3].sort(),
+    );
+  });
+
+  it("answers unknown methods with -32601", async () => {
+    const res = await rpc.request("no.such.method");
+    assert.equal(res.error.code, -32601);
+    assert.equal(res.error.message, "Method not found: no.such.method");
+  });
+
+  it("answers handler failures with -32000 and the error message", async () => {
+    const res = await rpc.request("chats.history", {});
+    assert.equal(res.error.code, -32000);
+    assert.match(res.error.message, /^Missing required parameter: chat_id/);
+  });
+
+  it("ignores malformed lines and notifications without an id", async () => {
+    const before = rpc.stdoutLines.length;
+    rpc.writeLine("{not json");
+    rpc.writeLine(JSON.stringify({ jsonrpc: "2.0", method: "chats.list", params: {} }));
+    const res = await rpc.request("chats.list", { limit: 1 });
+    assert.ok(res.result);
+    assert.equal(rpc.stdoutLines.length, before + 1);
+  });
+
+  it("keeps stdout to JSON-RPC lines", () => {
+    for (const line of rpc.stdoutLines) {
+      const msg = JSON.parse(line);
+      assert.equal(msg.jsonrpc, "2.0");
+    }
+  });
+
+  it("returns history for a chat, oldest first", async () => {
+    const res = await rpc.request("chats.history", { chat_id: DM_CHAT.id });
+    assert.deepEqual(
+      res.result.messages.map((m) => m.text),
+      ["first", "second"],
+    );
+    assert.equal(res.result.messages[0].sender, ALICE);
+    assert.equal(res.result.messages[1].is_from_me, true);
+  });
+
+  it("reports delivery status for outbound rows", async () => {
+    const res = await rpc.request("chats.history", { chat_id: DM_CHAT.id });
+    const sent = res.result.messages.find((m) => m.is_from_me);
+    const status = await rpc.request("messages.status", { guid: sent.guid });
+    assert.equal(status.result.statuses[0].status, "delivered");
+  });
+});
+
+describe("sqlite3 CLI backend", () => {
+  it("refuses to start when the sqlite3 CLI has no -json mode", async (t) => {
+    const sandbox = await makeSandbox();
+    t.after(() => sandbox.cleanup());
+    const fixture = await createFixtureDb(path.join(sandbox.dir, "chat.db"));
+    // What the sqlite3 bundled with macOS 10.15 prints for `-json`.
+    const oldSqlite = path.join(sandbox.dir, "old-sqlite3.sh");
+    await fs.writeFile(oldSqlite, '#!/bin/sh\necho "sqlite3: Error: unknown option: json" >&2\nexit 1\n', {
+      mode: 0o755,
+    });
+    const rpc = startRpc({
+      dbPath: fixture.path,
+      home: sandbox.home,
+      stateDir: sandbox.stateDir,
+      args: ["--db-backend", "cli"],
+      env: { OPENCLAW_IMESSAGE_SQLITE3: oldSqlite },
+    });
+    const code = await new Promise((resolve) => rpc.child.on("close", resolve));
+    assert.equal(code, 1);
+    assert.match(rpc.stderr, /no -json mode.*Node\.js 22\.5\+/);
+  });
+});
@@ -0,0 +1,178 @@
+import assert from "node:assert/strict";
+import path from "node:path";
+import { after, before, describe, it } from "node:test";
+
+import {
+  ALICE,
+  BOB,
+  CAROL,
+  DM_CHAT,
+  GROUP_CHAT,
+  SMS_CHAT,
+  createAddressBookFixture,
+  createFixtureDb,
+  encodeAttributedBody,
+  makeSandbox,
+  startRpc,
+} from "./helpers.mjs";
+
+describe("messages.search", () => {
+  let sandbox;
+  let rpc;
+
+  before(async () => {
+    sandbox = await makeSandbox();
+    const fixture = await createFixtureDb(path.join(sandbox.dir, "chat.db"));
+    await fixture.insertMessage({ text: "Dinner on Friday?", msAgo: 50_000 });
+    await fixture.insertMessage({ text: "friday works, dinner at 8", isFromMe: true, msAgo: 40_000 });
+    // Newer macOS releases leave message.text NULL and keep the text only in attributedBody.
+    await fixture.insertMessage({
+      chatId: GROUP_CHAT.id,
+      sender: BOB,
+      msAgo: 30_000,
+      extra: { attributedBody: encodeAttributedBody("Team dinner friday, bring snacks") },
+    });
+    await fixture.insertMessage({
+      chatId: GROUP_CHAT.id,
+      sender: BOB,
+      msAgo: 25_000,
+      extra: {
+        attributedBody: encodeAttributedBody("Alice can you bring drinks", [
+          {
+            length: 5,
+            attributes: { __kIMMessagePartAttributeName: 0, __kIMMentionConfirmedMention: "(555) 123-4567" },
+          },
+          { length: 21, attributes: { __kIMMessagePartAttributeName: 0 } },
+        ]),
+      },
+    });
+    await fixture.insertMessage({ text: "friday is a holiday", msAgo: 20_000 });
+    await fixture.insertMessage({ text: "see you", msAgo: 10_000 });
+    rpc = startRpc({ dbPath: fixture.path, home: sandbox.home, stateDir: sandbox.stateDir });
+  });
+
+  after(async () => {
+    await rpc?.stop();
+    await sandbox?.cleanup();
+  });
+
+  const texts = (res) => res.result.results.map((hit) => hit.message.text);
+
+  it("matches every word, newest first, including attributedBody-only messages", async () => {
+    const res = await rpc.request("messages.search", { query: "DINNER friday" });
+    assert.deepEqual(texts(res), [
+      "Team dinner friday, bring snacks",
+      "friday works, dinner at 8",
+      "Dinner on Friday?",
+    ]);
+    assert.equal(res.result.count, 3);
+    assert.equal(res.result.cursor.before, null);
+    const group = res.result.results[0].message;
+    assert.equal(group.sender, BOB);
+    assert.equal(group.chat_id, GROUP_CHAT.id);
+    assert.equal(res.result.results[0].snippet, "Team dinner friday, bring snacks");
+  });
+
+  it("normalizes mentioned handles like senders", async () => {
+    const res = await rpc.request("messages.search", { query: "drinks" });
+    const { mentions } = res.result.results[0].message;
+    assert.deepEqual(mentions, [{ handle: ALICE, text: "Alice", location: 0, length: 5 }]);
+  });
+
+  it("matches a phrase as typed", async () => {
+    const res = await rpc.request("messages.search", { query: "dinner friday", match: "phrase" });
+    assert.deepEqual(texts(res), ["Team dinner friday, bring snacks"]);
+  });
+
+  it("applies the sender, direction and chat filters", async () => {
+    const inbound = await rpc.request("messages.search", { query: "friday", sender: "(555) 123-4567" });
+    assert.deepEqual(texts(inbound), ["friday is a holiday", "Dinner on Friday?"]);
+    const outbound = await rpc.request("messages.search", { query: "friday", direction: "outbound" });
+    assert.deepEqual(texts(outbound), ["friday works, dinner at 8"]);
+    const group = await rpc.request("messages.search", { query: "friday", chat_id: GROUP_CHAT.id });
+    assert.deepEqual(texts(group), ["Team dinner friday, bring snacks"]);
+  });
+
+  it("pages with cursor.before and adds context from the same chat", async () => {
+    const first = await rpc.request("messages.search", { query: "friday", chat_id: DM_CHAT.id, limit: 1, context: 1 });
+    assert.deepEqual(texts(first), ["friday is a holiday"]);
+    const { context } = first.result.results[0];
+    assert.deepEqual(context.before.map((m) => m.text), ["friday works, dinner at 8"]);
+    assert.deepEqual(context.after.map((m) => m.text), ["see you"]);
+
+    const next = await rpc.request("messages.search", {
+      query: "friday",
+      chat_id: DM_CHAT.id,
+      limit: 1,
+      before: first.result.cursor.before,
+    });
+    assert.deepEqual(texts(next), ["friday works, dinner at 8"]);
+  });
+
+  it("requires a query and a known match mode", async () => {
+    const missing = await rpc.request("messages.search", { query: "  " });
+    assert.match(missing.error.message, /^Missing required parameter: query/);
+    const badMatch = await rpc.request("messages.search", { query: "x", match: "fuzzy" });
+    assert.match(badMatch.error.message, /^Invalid match: fuzzy/);
+  });
+});
+
+describe("chats.list", () => {
+  let sandbox;
+  let rpc;
+
+  before(async () => {
+    sandbox = await makeSandbox();
+    const fixture = await createFixtureDb(path.join(sandbox.dir, "chat.db"));
+    const store = await createAddressBookFixture(path.join(sandbox.dir, "AddressBook-v22.abcddb"), [
+      { first: "Alice", last: "Smith", phones: ["(555) 123-4567"] },
+    ]);
+    await fixture.insertMessage({ chatId: SMS_CHAT.id, sender: CAROL, service: "SMS", text: "sms", msAgo: 30_000 });
+    await fixture.insertMessage({
+      chatId: GROUP_CHAT.id,
+      sender: BOB,
+      msAgo: 20_000,
+      extra: { attributedBody: encodeAttributedBody("group news") },
+    });
+    await fixture.insertMessage({ text: "unread one", msAgo: 10_000 });
+    await fixture.insertMessage({ text: "read reply", isFromMe: true, msAgo: 5_000, extra: { is_read: 1 } });
+    rpc = startRpc({
+      dbPath: fixture.path,
+      home: sandbox.home,
+      stateDir: sandbox.stateDir,
+      args: ["--contacts", "on", "--contacts-path", store],
+    });
+  });
+
+  after(async () => {
+    await rpc?.stop();
+    await sandbox?.cleanup();
+  });
+
+  it("lists chats by latest activity with their last message and unread count", async () => {
+    const res = await rpc.request("chats.list");
+    assert.deepEqual(
+      res.result.chats.map((chat) => chat.id),
+      [DM_CHAT.id, GROUP_CHAT.id, SMS_CHAT.id],
+    );
+    const [dm, group] = res.result.chats;
+    assert.equal(dm.last_message.text, "read reply");
+    assert.equal(dm.last_message.is_from_me, true);
+    assert.equal(dm.unread_count, 1);
+    assert.equal(group.last_message.text, "group news");
+    assert.equal(group.is_group, true);
+    assert.equal(group.display_name, "Team");
+  });
+
+  it("finds chats by name or however a participant's number was typed", async () => {
+    const byName = await rpc.request("chats.list", { query: "tea" });
+    assert.deepEqual(byName.result.chats.map((chat) => chat.id), [GROUP_CHAT.id]);
+    const byNumber = await rpc.request("chats.list", { query: "(555) 123-4567" });
+    assert.deepEqual(byNumber.result.chats.map((chat) => chat.id), [DM_CHAT.id, GROUP_CHAT.id]);
+  });
+
+  it("names participants from Contacts", async () => {
+    const res = await rpc.request("chats.list", { query: "tea" });
+    assert.deepEqual(res.result.chats[0].participant_names, { [ALICE]: "Alice Smith" });
+  });
+});
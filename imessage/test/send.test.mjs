@@ -0,0 +1,368 @@
+import assert from "node:assert/strict";
+import fs from "node:fs/promises";
+import path from "node:path";
+import { after, before, describe, it } from "node:test";
+
+import {
+  ALICE,
+  CAROL,
+  GROUP_CHAT,
+  createAddressBookFixture,
+  createFixtureDb,
+  makeSandbox,
+  readExecutorLog,
+  startRpc,
+} from "./helpers.mjs";
+
+const RPC_ERROR_SERVER = -32000;
+const RPC_ERROR_RATE_LIMITED = -32029;
+const RPC_ERROR_BLOCKED = -32030;
+const RPC_ERROR_CONTACT_UNRESOLVED = -32031;
+const RPC_ERROR_OVER_LIMIT = -32032;
+
+describe("send", () => {
+  let sandbox;
+  let fixture;
+  let rpc;
+  let executorLog;
+  let outboundDir;
+
+  before(async () => {
+    sandbox = await makeSandbox();
+    fixture = await createFixtureDb(path.join(sandbox.dir, "chat.db"));
+    executorLog = path.join(sandbox.dir, "executor.jsonl");
+    outboundDir = path.join(sandbox.stateDir, "media", "outbound");
+    await fs.mkdir(outboundDir, { recursive: true });
+    await fs.writeFile(path.join(sandbox.stateDir, "imessage-access.json"), JSON.stringify({ deny: [CAROL] }));
+    rpc = startRpc({
+      dbPath: fixture.path,
+      home: sandbox.home,
+      stateDir: sandbox.stateDir,
+      args: ["--executor-log", executorLog],
+    });
+  });
+
+  after(async () => {
+    await rpc?.stop();
+    await sandbox?.cleanup();
+  });
+
+  async function lastScript() {
+    const entries = await readExecutorLog(executorLog);
+    const entry = entries.filter((e) => e.tool === "osascript").at(-1);
+    return { entry, script: entry?.args?.[1] ?? "" };
+  }
+
+  it("normalizes the handle, escapes the text and confirms the row", async () => {
+    const res = await rpc.request("send", { to: "(555) 123-4567", text: 'say "hi"\nbye' });
+    assert.equal(res.error, undefined);
+    assert.equal(res.result.ok, true);
+    assert.equal(res.result.confirmed, true);
+    assert.equal(res.result.service, "iMessage");
+    assert.equal(res.result.status, "delivered");
+    assert.match(res.result.queue_id, /^q-/);
+
+    const { entry, script } = await lastScript();
+    assert.equal(entry.send.target, ALICE);
+    assert.equal(entry.send.targetKind, "handle");
+    assert.ok(script.includes(`buddy "${ALICE}" of targetService`));
+    assert.ok(script.includes('send "say \\"hi\\"\\nbye" to theChat'));
+  });
+
+  it("sends text as typed unless Markdown is asked for", async () => {
+    const plain = await rpc.request("send", { to: ALICE, text: "2 * 3 = 6, see #4 and `x_y`" });
+    assert.equal(plain.result.ok, true);
+    assert.ok((await lastScript()).script.includes('send "2 * 3 = 6, see #4 and `x_y`" to theChat'));
+
+    const rendered = await rpc.request("send", { to: ALICE, text: "# Plan\n\n**bold** move", format: "markdown" });
+    assert.equal(rendered.result.ok, true);
+    assert.ok((await lastScript()).script.includes('send "Plan\\n\\nbold move" to theChat'));
+  });
+
+  it("addresses group chats by guid", async () => {
+    const res = await rpc.request("send", { chat_id: GROUP_CHAT.id, text: "hello team" });
+    assert.equal(res.result.confirmed, true);
+    const { script } = await lastScript();
+    assert.ok(script.includes(`set theChat to chat id "${GROUP_CHAT.guid}"`));
+  });
+
+  it("stages outbound attachments and confirms text and file parts", async () => {
+    const file = path.join(outboundDir, "picture.png");
+    await fs.writeFile(file, "png bytes");
+    const res = await rpc.request("send", { to: ALICE, text: "look", file });
+    assert.equal(res.result.confirmed, true);
+    assert.deepEqual(
+      res.result.parts.map((p) => p.part),
+      ["text", "attachment"],
+    );
+    const { entry, script } = await lastScript();
+    // Messages can't read the state dir, so the file is copied somewhere it can first.
+    assert.ok(entry.send.filePath.startsWith(path.join(sandbox.home, "Pictures")));
+    assert.ok(script.includes(`POSIX file "${entry.send.filePath}"`));
+  });
+
+  it("drops OpenClaw media placeholder text when sending a file", async () => {
+    const file = path.join(outboundDir, "placeholder.png");
+    await fs.writeFile(file, "png bytes");
+    const res = await rpc.request("send", { to: ALICE, text: "<media:image>", file });
+    assert.equal(res.result.confirmed, true);
+    const { entry } = await lastScript();
+    assert.equal(entry.send.text, "");
+  });
+
+  describe("path safety", () => {
+    async function expectRefused(params, pattern) {
+      const before = (await readExecutorLog(executorLog)).length;
+      const res = await rpc.request("send", { to: ALICE, ...params });
+      assert.equal(res.result, undefined);
+      assert.equal(res.error.code, RPC_ERROR_SERVER);
+      assert.match(res.error.message, pattern);
+      assert.equal((await readExecutorLog(executorLog)).length, before, "nothing was sent");
+    }
+
+    it("refuses files outside the outbound dir", async () => {
+      const outside = path.join(sandbox.dir, "secret.txt");
+      await fs.writeFile(outside, "secret");
+      await expectRefused({ file: outside }, /outside OpenClaw outbound dir/);
+      const traversal = path.join(outboundDir, "..", "..", "..", "secret.txt");
+      await expectRefused({ file: traversal }, /outside OpenClaw outbound dir/);
+    });
+
+    it("refuses symlinks, including ones pointing back outside", async () => {
+      const outside = path.join(sandbox.dir, "secret-link-target.txt");
+      await fs.writeFile(outside, "secret");
+      await fs.symlink(outside, path.join(outboundDir, "escape.txt"));
+      await expectRefused({ file: path.join(outboundDir, "escape.txt") }, /outside OpenClaw outbound dir \(realpath\)/);
+
+      await fs.writeFile(path.join(outboundDir, "real.txt"), "fine");
+      await fs.symlink(path.join(outboundDir, "real.txt"), path.join(outboundDir, "alias.txt"));
+      await expectRefused({ file: path.join(outboundDir, "alias.txt") }, /Refusing to send symlink attachment/);
+    });
+
+    it("refuses directories and missing files", async () => {
+      await fs.mkdir(path.join(outboundDir, "folder"), { recursive: true });
+      await expectRefused({ file: path.join(outboundDir, "folder") }, /Refusing to send non-file attachment/);
+      await expectRefused({ file: path.join(outboundDir, "nope.png") }, /Attachment not accessible/);
+    });
+  });
+
+  it("requires a target and some content", async () => {
+    const noTarget = await rpc.request("send", { text: "hi" });
+    assert.equal(noTarget.error.code, RPC_ERROR_SERVER);
+    assert.match(noTarget.error.message, /Missing required parameter: to\|chat_id/);
+
+    const noContent = await rpc.request("send", { to: ALICE, text: "   " });
+    assert.equal(noContent.error.code, RPC_ERROR_SERVER);
+    assert.match(noContent.error.message, /Missing required parameter: text or file/);
+  });
+
+  it("rejects recipients on the deny list with -32030", async () => {
+    const res = await rpc.request("send", { to: "555-765-4321", text: "hi" });
+    assert.equal(res.error.code, RPC_ERROR_BLOCKED);
+    assert.deepEqual(res.error.data, { target: CAROL, rule: `deny ${CAROL}` });
+  });
+
+  it("reports unresolvable contacts with -32031", async () => {
+    const res = await rpc.request("send", { contact: "Nobody Known", text: "hi" });
+    assert.equal(res.error.code, RPC_ERROR_CONTACT_UNRESOLVED);
+    assert.equal(res.error.data.contact, "Nobody Known");
+    assert.deepEqual(res.error.data.candidates, []);
+  });
+
+  it("refuses oversized attachments when a limit is set", async (t) => {
+    const stateDir = path.join(sandbox.dir, "state-limit");
+    const limitedOutbound = path.join(stateDir, "media", "outbound");
+    await fs.mkdir(limitedOutbound, { recursive: true });
+    await fs.writeFile(path.join(limitedOutbound, "big.bin"), Buffer.alloc(64));
+    const limited = startRpc({
+      dbPath: fixture.path,
+      home: sandbox.home,
+      stateDir,
+      env: { OPENCLAW_IMESSAGE_MAX_ATTACHMENT_BYTES: "16" },
+    });
+    t.after(() => limited.stop());
+    const res = await limited.request("send", { to: ALICE, file: path.join(limitedOutbound, "big.bin") });
+    assert.equal(res.error.code, RPC_ERROR_SERVER);
+    assert.match(res.error.message, /larger than 16 bytes/);
+  });
+});
+
+describe("send to a contact", () => {
+  it("resolves `contact` to the contact's handle", async (t) => {
+    const sandbox = await makeSandbox();
+    const fixture = await createFixtureDb(path.join(sandbox.dir, "chat.db"));
+    const store = await createAddressBookFixture(path.join(sandbox.dir, "AddressBook-v22.abcddb"), [
+      { first: "Alice", last: "Smith", phones: ["555-123-4567"] },
+      { first: "Zed", last: "Jones", emails: ["zed@example.com"] },
+    ]);
+    const executorLog = path.join(sandbox.dir, "executor.jsonl");
+    const rpc = startRpc({
+      dbPath: fixture.path,
+      home: sandbox.home,
+      stateDir: sandbox.stateDir,
+      args: ["--contacts", "on", "--contacts-path", store, "--executor-log", executorLog],
+    });
+    t.after(async () => {
+      await rpc.stop();
+      await sandbox.cleanup();
+    });
+
+    const res = await rpc.request("send", { contact: "alice smith", text: "hi" });
+    assert.equal(res.error, undefined);
+    assert.equal(res.result.ok, true);
+    assert.deepEqual(res.result.contact, { name: "Alice Smith", handle: ALICE });
+    const [entry] = (await readExecutorLog(executorLog)).filter((e) => e.tool === "osascript");
+    assert.equal(entry.send.target, ALICE);
+
+    const noText = await rpc.request("send", { contact: "alice smith" });
+    assert.match(noText.error.message, /Missing required parameter: text or file/);
+  });
+});
+
+describe("send rate limits", () => {
+  it("rejects over-limit sends with -32029 in reject mode", async (t) => {
+    const sandbox = await makeSandbox();
+    const fixture = await createFixtureDb(path.join(sandbox.dir, "chat.db"));
+    const rpc = startRpc({
+      dbPath: fixture.path,
+      home: sandbox.home,
+      stateDir: sandbox.stateDir,
+      args: ["--rate-limit-mode", "reject", "--rate-per-chat", "1"],
+    });
+    t.after(async () => {
+      await rpc.stop();
+      await sandbox.cleanup();
+    });
+
+    const first = await rpc.request("send", { to: ALICE, text: "one" });
+    assert.equal(first.result.ok, true);
+    const second = await rpc.request("send", { to: ALICE, text: "two" });
+    assert.equal(second.error.code, RPC_ERROR_RATE_LIMITED);
+    assert.equal(second.error.data.limit, "chat");
+    assert.ok(second.error.data.retry_after_ms > 0);
+    // Other chats have their own allowance.
+    const other = await rpc.request("send", { chat_id: GROUP_CHAT.id, text: "three" });
+    assert.equal(other.result.ok, true);
+  });
+
+  it("fails sends that need more messages than a limit allows with -32032", async (t) => {
+    const sandbox = await makeSandbox();
+    const fixture = await createFixtureDb(path.join(sandbox.dir, "chat.db"));
+    const rpc = startRpc({
+      dbPath: fixture.path,
+      home: sandbox.home,
+      stateDir: sandbox.stateDir,
+      args: ["--rate-limit-mode", "reject", "--rate-per-chat", "2"],
+    });
+    t.after(async () => {
+      await rpc.stop();
+      await sandbox.cleanup();
+    });
+
+    const text = ["first part.", "second part.", "third part."].join("\n\n");
+    const res = await rpc.request("send", { to: ALICE, text, max_chars: 15 });
+    assert.equal(res.error.code, RPC_ERROR_OVER_LIMIT);
+    assert.deepEqual(res.error.data, { limit: "chat", capacity: 2, count: 3 });
+    // Nothing was charged, so a send that fits still goes out.
+    const fits = await rpc.request("send", { to: ALICE, text: "short" });
+    assert.equal(fits.result.ok, true);
+  });
+
+  it("rejects sends past the daily cap right away in queue mode", async (t) => {
+    const sandbox = await makeSandbox();
+    const fixture = await createFixtureDb(path.join(sandbox.dir, "chat.db"));
+    const rpc = startRpc({
+      dbPath: fixture.path,
+      home: sandbox.home,
+      stateDir: sandbox.stateDir,
+      args: ["--rate-limit-mode", "queue", "--daily-cap", "1"],
+    });
+    t.after(async () => {
+      await rpc.stop();
+      await sandbox.cleanup();
+    });
+
+    const first = await rpc.request("send", { to: ALICE, text: "one" });
+    assert.equal(first.result.ok, true);
+    const second = await rpc.request("send", { to: ALICE, text: "two" }, { timeoutMs: 5_000 });
+    assert.equal(second.error.code, RPC_ERROR_RATE_LIMITED);
+    assert.equal(second.error.data.limit, "daily");
+    assert.ok(second.error.data.retry_after_ms > 0);
+    const queue = await rpc.request("queue.list");
+    assert.equal(queue.result.items.length, 0);
+  });
+
+  it("gives the daily cap back when a queued send fails", async (t) => {
+    const sandbox = await makeSandbox();
+    const fixture = await createFixtureDb(path.join(sandbox.dir, "chat.db"));
+    const rpc = startRpc({
+      dbPath: fixture.path,
+      home: sandbox.home,
+      stateDir: sandbox.stateDir,
+      args: ["--rate-limit-mode", "queue", "--daily-cap", "1", "--executor", "system"],
+      // Fails every send with an error that isn't retried.
+      env: { OPENCLAW_IMESSAGE_OSASCRIPT: "/bin/false" },
+    });
+    t.after(async () => {
+      await rpc.stop();
+      await sandbox.cleanup();
+    });
+
+    for (const text of ["one", "two"]) {
+      const res = await rpc.request("send", { to: ALICE, text }, { timeoutMs: 5_000 });
+      assert.equal(res.error.code, RPC_ERROR_SERVER);
+    }
+    const status = await rpc.request("status");
+    assert.equal(status.result.sends.failed, 2);
+    assert.equal(status.result.sends.rate_limited, 0);
+  });
+});
+
+describe("SMS fallback", () => {
+  it("returns once the send is confirmed and retries a failed iMessage over SMS afterwards", async (t) => {
+    const sandbox = await makeSandbox();
+    const fixture = await createFixtureDb(path.join(sandbox.dir, "chat.db"));
+    const executorLog = path.join(sandbox.dir, "executor.jsonl");
+    // Messages leaves an iMessage to an unreachable number undelivered before flagging it.
+    await fixture.exec(
+      `CREATE TRIGGER undelivered_imessage AFTER INSERT ON message
+       WHEN NEW.is_from_me = 1 AND NEW.service = 'iMessage'
+       BEGIN UPDATE message SET is_delivered = 0, date_delivered = 0 WHERE ROWID = NEW.ROWID; END`,
+    );
+    const rpc = startRpc({
+      dbPath: fixture.path,
+      home: sandbox.home,
+      stateDir: sandbox.stateDir,
+      args: ["--executor-log", executorLog, "--send-verify-timeout-ms", "30000"],
+    });
+    t.after(async () => {
+      await rpc.stop();
+      await sandbox.cleanup();
+    });
+
+    // Well inside the 30s verify timeout: the send doesn't wait for delivery.
+    const res = await rpc.request("send", { to: ALICE, text: "are you there" }, { timeoutMs: 10_000 });
+    assert.equal(res.result.ok, true);
+    assert.equal(res.result.service, "iMessage");
+    assert.equal(res.result.status, "sent");
+    assert.equal(res.result.verifying, true);
+
+    await fixture.exec("UPDATE message SET error = 22 WHERE guid = $guid", { guid: res.result.guid });
+    const note = await rpc.waitForNotification(
+      (n) => n.method === "message.status" && n.params.status.guid === res.result.guid,
+    );
+    assert.equal(note.params.status.status, "failed");
+    assert.equal(note.params.status.error_code, 22);
+    assert.equal(note.params.status.previous_status, "sent");
+    assert.equal(note.params.status.fallback.from, "iMessage");
+    assert.equal(note.params.status.fallback.to, "SMS");
+    assert.equal(note.params.status.fallback.confirmed, true);
+    assert.notEqual(note.params.status.fallback.guid, res.result.guid);
+
+    const sends = (await readExecutorLog(executorLog)).filter((entry) => entry.tool === "osascript");
+    assert.deepEqual(
+      sends.map((entry) => entry.send.service),
+      ["iMessage", "SMS"],
+    );
+  });
+});
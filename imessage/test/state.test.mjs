@@ -0,0 +1,84 @@
+import assert from "node:assert/strict";
+import fs from "node:fs/promises";
+import path from "node:path";
+import { describe, it } from "node:test";
+
+import { createFixtureDb, findStateFile, makeSandbox, messageWithText, startRpc } from "./helpers.mjs";
+
+describe("state files", () => {
+  async function setup(t) {
+    const sandbox = await makeSandbox();
+    const fixture = await createFixtureDb(path.join(sandbox.dir, "chat.db"));
+    const running = [];
+    const start = (args = []) => {
+      const rpc = startRpc({ dbPath: fixture.path, home: sandbox.home, stateDir: sandbox.stateDir, args });
+      running.push(rpc);
+      return rpc;
+    };
+    t.after(async () => {
+      await Promise.all(running.map((rpc) => rpc.stop()));
+      await sandbox.cleanup();
+    });
+    return { sandbox, fixture, start };
+  }
+
+  it("keeps each account's cursor in its own file", async (t) => {
+    const { sandbox, fixture, start } = await setup(t);
+    await fixture.insertMessage({ text: "for both", msAgo: 5_000 });
+    const personal = start();
+    const work = start(["--account", "work"]);
+    await personal.request("watch.subscribe");
+    await work.request("watch.subscribe");
+    await personal.waitForNotification(messageWithText("for both"));
+    await work.waitForNotification(messageWithText("for both"));
+    await personal.stop();
+    await work.stop();
+
+    const personalState = await findStateFile(sandbox.stateDir, "poll-state.json");
+    const workState = await findStateFile(sandbox.stateDir, "poll-state.json", { account: "work" });
+    assert.notEqual(personalState, workState);
+    const names = await fs.readdir(sandbox.stateDir);
+    assert.ok(!names.some((name) => name.endsWith(".lock")), "locks are released on shutdown");
+  });
+
+  it("refuses a second runtime for the same account and chat.db", async (t) => {
+    const { start } = await setup(t);
+    const first = start();
+    await first.request("status");
+    const second = start();
+    const code = await new Promise((resolve) => second.child.on("close", resolve));
+    assert.equal(code, 1);
+    assert.match(second.stderr, /in use by another runtime \(pid \d+\)/);
+    assert.ok((await first.request("status")).result);
+  });
+
+  it("takes over a lock left by a process that is gone", async (t) => {
+    const { sandbox, fixture, start } = await setup(t);
+    const first = start();
+    await first.request("status");
+    const lock = (await fs.readdir(sandbox.stateDir)).find((name) => name.endsWith("-state.lock"));
+    await first.stop();
+    // What a runtime killed with SIGKILL leaves behind.
+    await fs.writeFile(path.join(sandbox.stateDir, lock), JSON.stringify({ pid: 2 ** 22 + 1 }));
+    await fixture.insertMessage({ text: "after the crash" });
+    const next = start();
+    await next.request("watch.subscribe");
+    await next.waitForNotification(messageWithText("after the crash"));
+    assert.match(next.stderr, /taking over a stale state lock/);
+  });
+
+  it("adopts state files written before they were per account", async (t) => {
+    const { sandbox, fixture, start } = await setup(t);
+    const seen = await fixture.insertMessage({ text: "already delivered", msAgo: 5_000 });
+    await fixture.insertMessage({ text: "not yet delivered", msAgo: 4_000 });
+    const legacy = path.join(sandbox.stateDir, "imessage-poll-state.json");
+    const appleNs = (BigInt(Date.now()) - 978_307_200_000n - 5_000n) * 1_000_000n;
+    await fs.writeFile(legacy, JSON.stringify({ lastRowId: String(seen), lastMessageTime: String(appleNs) }));
+    const rpc = start();
+    await rpc.request("watch.subscribe");
+    await rpc.waitForNotification(messageWithText("not yet delivered"));
+    assert.equal(rpc.notifications.filter(messageWithText("already delivered")).length, 0);
+    await assert.rejects(fs.access(legacy));
+    await findStateFile(sandbox.stateDir, "poll-state.json");
+  });
+});
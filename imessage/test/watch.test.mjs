@@ -0,0 +1,406 @@
+import assert from "node:assert/strict";
+import fs from "node:fs/promises";
+import path from "node:path";
+import { after, before, describe, it } from "node:test";
+
+import {
+  ALICE,
+  BOB,
+  CAROL,
+  DM_CHAT,
+  GROUP_CHAT,
+  SMS_CHAT,
+  createFixtureDb,
+  makeSandbox,
+  messageWithText,
+  readExecutorLog,
+  startRpc,
+} from "./helpers.mjs";
+
+describe("watch.subscribe", () => {
+  let sandbox;
+  let fixture;
+  let rpc;
+
+  before(async () => {
+    sandbox = await makeSandbox();
+    fixture = await createFixtureDb(path.join(sandbox.dir, "chat.db"));
+    await fixture.insertMessage({ text: "backlog dm", msAgo: 60_000 });
+    await fixture.insertMessage({ chatId: GROUP_CHAT.id, sender: BOB, text: "backlog group", msAgo: 50_000 });
+    await fixture.insertMessage({
+      chatId: SMS_CHAT.id,
+      sender: CAROL,
+      service: "SMS",
+      text: "backlog sms",
+      msAgo: 40_000,
+    });
+    await fixture.insertMessage({ text: "too old", msAgo: 2 * 3600_000 });
+    rpc = startRpc({ dbPath: fixture.path, home: sandbox.home, stateDir: sandbox.stateDir });
+  });
+
+  after(async () => {
+    await rpc?.stop();
+    await sandbox?.cleanup();
+  });
+
+  it("returns a subscription id", async () => {
+    const res = await rpc.request("watch.subscribe", { attachments: true });
+    assert.equal(res.jsonrpc, "2.0");
+    assert.match(res.result.subscription, /^sub-/);
+  });
+
+  it("emits recent one-to-one messages from before the subscription", async () => {
+    const dm = await rpc.waitForNotification(messageWithText("backlog dm"));
+    assert.equal(dm.jsonrpc, "2.0");
+    assert.equal(dm.id, undefined);
+    const message = dm.params.message;
+    assert.equal(message.sender, ALICE);
+    assert.equal(message.chat_id, DM_CHAT.id);
+    assert.equal(message.chat_guid, DM_CHAT.guid);
+    assert.equal(message.chat_identifier, DM_CHAT.identifier);
+    assert.equal(message.is_group, false);
+    assert.equal(message.is_from_me, false);
+    assert.deepEqual(message.attachments, []);
+    assert.ok(!Number.isNaN(Date.parse(message.created_at)));
+    assert.match(message.date, /^\d+$/);
+
+    const sms = await rpc.waitForNotification(messageWithText("backlog sms"));
+    assert.equal(sms.params.message.chat_guid, SMS_CHAT.guid);
+  });
+
+  it("skips group chats unless asked for and messages outside the lookback window", async () => {
+    await rpc.waitForNotification(messageWithText("backlog sms"));
+    const texts = rpc.notifications.filter((n) => n.method === "message").map((n) => n.params.message.text);
+    assert.ok(!texts.includes("backlog group"));
+    assert.ok(!texts.includes("too old"));
+  });
+
+  it("picks up messages inserted while running, once each", async () => {
+    await fixture.insertMessage({ text: "inserted mid-run" });
+    const first = await rpc.waitForNotification(messageWithText("inserted mid-run"));
+    await fixture.insertMessage({ text: "inserted later" });
+    await rpc.waitForNotification(messageWithText("inserted later"));
+    const copies = rpc.notifications.filter(messageWithText("inserted mid-run"));
+    assert.equal(copies.length, 1);
+    assert.equal(first.params.message.sender, ALICE);
+  });
+
+  it("emits group messages after resubscribing with groups: true", async () => {
+    const res = await rpc.request("watch.subscribe", { groups: true });
+    assert.match(res.result.subscription, /^sub-/);
+    await fixture.insertMessage({ chatId: GROUP_CHAT.id, sender: BOB, text: "group mid-run" });
+    const note = await rpc.waitForNotification(messageWithText("group mid-run"));
+    assert.equal(note.params.message.is_group, true);
+    assert.equal(note.params.message.sender, BOB);
+    assert.equal(note.params.message.chat_name, "Team");
+    assert.deepEqual([...note.params.message.participants].sort(), [ALICE, BOB].sort());
+  });
+
+  it("stops emitting after watch.unsubscribe", async () => {
+    const res = await rpc.request("watch.unsubscribe");
+    assert.deepEqual(res.result, { ok: true });
+    await fixture.insertMessage({ text: "after unsubscribe" });
+    await new Promise((resolve) => setTimeout(resolve, 800));
+    assert.equal(rpc.notifications.filter(messageWithText("after unsubscribe")).length, 0);
+  });
+});
+
+describe("watch mode", () => {
+  it("picks up inserts through the file watcher", async (t) => {
+    const sandbox = await makeSandbox();
+    const fixture = await createFixtureDb(path.join(sandbox.dir, "chat.db"));
+    const rpc = startRpc({
+      dbPath: fixture.path,
+      home: sandbox.home,
+      stateDir: sandbox.stateDir,
+      // The idle backstop poll is far longer than the wait below, so only the watcher can deliver.
+      args: ["--watch-mode", "watch", "--poll-interval-ms", "60000", "--poll-max-interval-ms", "60000"],
+    });
+    t.after(async () => {
+      await rpc.stop();
+      await sandbox.cleanup();
+    });
+
+    await rpc.request("watch.subscribe");
+    await new Promise((resolve) => setTimeout(resolve, 300));
+    await fixture.insertMessage({ text: "seen by the watcher" });
+    await rpc.waitForNotification(messageWithText("seen by the watcher"), { timeoutMs: 5_000 });
+  });
+});
+
+describe("poll failures", () => {
+  it("emits replies without reply_to when the reply-target lookup fails", async (t) => {
+    const sandbox = await makeSandbox();
+    const fixture = await createFixtureDb(path.join(sandbox.dir, "chat.db"));
+    // sqlite3 that fails the reply-target lookup once, the way a busy chat.db does.
+    const failedOnce = path.join(sandbox.dir, "lookup-failed");
+    const flakySqlite = path.join(sandbox.dir, "flaky-sqlite3.sh");
+    await fs.writeFile(
+      flakySqlite,
+      [
+        "#!/bin/sh",
+        'for arg; do last="$arg"; done',
+        'case "$last" in *"WHERE message.guid IN"*)',
+        `  if [ ! -e "${failedOnce}" ]; then : > "${failedOnce}"; echo "Error: database is locked" >&2; exit 5; fi;;`,
+        "esac",
+        'exec /usr/bin/sqlite3 "$@"',
+        "",
+      ].join("\n"),
+      { mode: 0o755 },
+    );
+    await fixture.insertMessage({ text: "original", guid: "ORIGINAL-1", msAgo: 20_000 });
+    await fixture.insertMessage({
+      text: "a reply",
+      msAgo: 10_000,
+      extra: { thread_originator_guid: "ORIGINAL-1", thread_originator_part: "0:0:8" },
+    });
+    const rpc = startRpc({
+      dbPath: fixture.path,
+      home: sandbox.home,
+      stateDir: sandbox.stateDir,
+      args: ["--db-backend", "cli"],
+      env: { OPENCLAW_IMESSAGE_SQLITE3: flakySqlite },
+    });
+    t.after(async () => {
+      await rpc.stop();
+      await sandbox.cleanup();
+    });
+
+    await rpc.request("watch.subscribe");
+    const reply = await rpc.waitForNotification(messageWithText("a reply"));
+    assert.equal(reply.params.message.reply_to, undefined);
+    await rpc.waitForNotification(messageWithText("original"));
+    await fixture.insertMessage({ text: "next batch" });
+    await rpc.waitForNotification(messageWithText("next batch"));
+    assert.equal(rpc.notifications.filter(messageWithText("a reply")).length, 1);
+    assert.equal(rpc.notifications.filter(messageWithText("original")).length, 1);
+    assert.equal(rpc.notifications.filter((n) => n.method === "error").length, 0);
+    assert.match(rpc.stderr, /reply target lookup failed/);
+  });
+});
+
+describe("access list during polls", () => {
+  it("keeps the last good lists while the file is half-written", async (t) => {
+    const sandbox = await makeSandbox();
+    const fixture = await createFixtureDb(path.join(sandbox.dir, "chat.db"));
+    const accessFile = path.join(sandbox.stateDir, "imessage-access.json");
+    await fs.writeFile(accessFile, JSON.stringify({ deny: [CAROL] }));
+    const rpc = startRpc({ dbPath: fixture.path, home: sandbox.home, stateDir: sandbox.stateDir });
+    t.after(async () => {
+      await rpc.stop();
+      await sandbox.cleanup();
+    });
+
+    await rpc.request("watch.subscribe");
+    await fs.writeFile(accessFile, '{"deny": [');
+    // Past the once-a-second reload check, so the next poll reads the broken file.
+    await new Promise((resolve) => setTimeout(resolve, 1_200));
+    await fixture.insertMessage({ chatId: SMS_CHAT.id, sender: CAROL, service: "SMS", text: "still denied" });
+    await fixture.insertMessage({ text: "still allowed" });
+    await rpc.waitForNotification(messageWithText("still allowed"));
+    assert.equal(rpc.notifications.filter(messageWithText("still denied")).length, 0);
+    assert.equal(rpc.notifications.filter((n) => n.method === "error").length, 0);
+  });
+});
+
+describe("attachments", () => {
+  let sandbox;
+  let fixture;
+  let attachmentsDir;
+  let executorLog;
+
+  before(async () => {
+    sandbox = await makeSandbox();
+    fixture = await createFixtureDb(path.join(sandbox.dir, "chat.db"));
+    attachmentsDir = path.join(sandbox.home, "Library", "Messages", "Attachments", "ab", "01");
+    await fs.mkdir(attachmentsDir, { recursive: true });
+    await fs.writeFile(path.join(attachmentsDir, "photo.png"), Buffer.from("89504e470d0a1a0a", "hex"));
+    await fs.writeFile(path.join(attachmentsDir, "IMG_0001.HEIC"), "not really heic");
+    executorLog = path.join(sandbox.dir, "executor.jsonl");
+  });
+
+  after(async () => {
+    await sandbox?.cleanup();
+  });
+
+  async function subscribeAndWait(t, text, { args = [], env = {} } = {}) {
+    const rpc = startRpc({
+      dbPath: fixture.path,
+      home: sandbox.home,
+      stateDir: path.join(sandbox.dir, `state-${text.replace(/\W+/g, "-")}`),
+      args: ["--executor-log", executorLog, ...args],
+      env,
+    });
+    t.after(() => rpc.stop());
+    await rpc.request("watch.subscribe", { attachments: true });
+    const note = await rpc.waitForNotification(messageWithText(text));
+    return note.params.message;
+  }
+
+  it("expands ~ paths, fills in the mime type and strips the placeholder", async (t) => {
+    await fixture.insertMessage({
+      text: "\uFFFC",
+      attachments: [{ filename: "~/Library/Messages/Attachments/ab/01/photo.png" }],
+    });
+    await fixture.insertMessage({ text: "png marker" });
+    const rpc = startRpc({ dbPath: fixture.path, home: sandbox.home, stateDir: path.join(sandbox.dir, "state-png") });
+    t.after(() => rpc.stop());
+    await rpc.request("watch.subscribe", { attachments: true });
+    await rpc.waitForNotification(messageWithText("png marker"));
+    const note = rpc.notifications.find((n) => n.params?.message?.attachments?.length);
+    assert.ok(note, "attachment message was emitted");
+    const [attachment] = note.params.message.attachments;
+    assert.equal(attachment.path, path.join(attachmentsDir, "photo.png"));
+    assert.equal(attachment.original_path, attachment.path);
+    assert.equal(attachment.filename, "photo.png");
+    assert.equal(attachment.mime_type, "image/png");
+    assert.equal(attachment.missing, false);
+    assert.ok(!note.params.message.text.includes("\uFFFC"));
+  });
+
+  it("keeps metadata for attachments that are not on disk", async (t) => {
+    await fixture.insertMessage({
+      text: "missing file",
+      attachments: [{ filename: "~/Library/Messages/Attachments/zz/99/gone.jpg", mimeType: "image/jpeg" }],
+    });
+    const message = await subscribeAndWait(t, "missing file");
+    const [attachment] = message.attachments;
+    assert.equal(attachment.missing, true);
+    assert.equal(attachment.mime_type, "image/jpeg");
+    assert.ok(attachment.access_error);
+  });
+
+  it("omits attachments when subscribed with attachments: false", async (t) => {
+    await fixture.insertMessage({
+      text: "no attachments please",
+      attachments: [{ filename: "~/Library/Messages/Attachments/ab/01/photo.png" }],
+    });
+    const rpc = startRpc({ dbPath: fixture.path, home: sandbox.home, stateDir: path.join(sandbox.dir, "state-noatt") });
+    t.after(() => rpc.stop());
+    await rpc.request("watch.subscribe", { attachments: false });
+    const note = await rpc.waitForNotification(messageWithText("no attachments please"));
+    assert.equal(note.params.message.attachments, undefined);
+  });
+
+  it("falls back to the original HEIC when no converter works", async (t) => {
+    await fixture.insertMessage({
+      text: "heic unconverted",
+      attachments: [{ filename: "~/Library/Messages/Attachments/ab/01/IMG_0001.HEIC" }],
+    });
+    const message = await subscribeAndWait(t, "heic unconverted");
+    const [attachment] = message.attachments;
+    assert.equal(attachment.path, path.join(attachmentsDir, "IMG_0001.HEIC"));
+    assert.equal(attachment.mime_type, "image/heic");
+    assert.equal(attachment.missing, false);
+
+    // sips first, then the bundled script, then ImageMagick.
+    const tools = (await readExecutorLog(executorLog)).map((entry) => entry.tool);
+    assert.deepEqual(tools.slice(-3), ["sips", "bash", "magick"]);
+  });
+
+  it("converts HEIC to JPEG in the state dir when sips succeeds", async (t) => {
+    // Stand-in for sips: `sips -s format jpeg <in> --out <out>`.
+    const fakeSips = path.join(sandbox.dir, "fake-sips.sh");
+    await fs.writeFile(fakeSips, '#!/bin/sh\ncp "$4" "$6"\n', { mode: 0o755 });
+    await fixture.insertMessage({
+      text: "heic converted",
+      attachments: [{ filename: "~/Library/Messages/Attachments/ab/01/IMG_0001.HEIC", mimeType: "image/heic" }],
+    });
+    const stateDir = path.join(sandbox.dir, "state-heic");
+    const rpc = startRpc({
+      dbPath: fixture.path,
+      home: sandbox.home,
+      stateDir,
+      args: ["--executor", "system"],
+      env: { OPENCLAW_IMESSAGE_SIPS: fakeSips },
+    });
+    t.after(() => rpc.stop());
+    await rpc.request("watch.subscribe", { attachments: true });
+    const note = await rpc.waitForNotification(messageWithText("heic converted"));
+    const [attachment] = note.params.message.attachments;
+    assert.equal(path.dirname(attachment.path), path.join(stateDir, "media", "inbox"));
+    assert.match(attachment.filename, /^converted-.*\.jpg$/);
+    assert.equal(attachment.mime_type, "image/jpeg");
+    assert.equal(attachment.original_path, path.join(attachmentsDir, "IMG_0001.HEIC"));
+    assert.equal(await fs.readFile(attachment.path, "utf8"), "not really heic");
+  });
+});
+
+describe("reactions and replies", () => {
+  let sandbox;
+  let fixture;
+  let rpc;
+
+  before(async () => {
+    sandbox = await makeSandbox();
+    fixture = await createFixtureDb(path.join(sandbox.dir, "chat.db"));
+    await fixture.insertMessage({ text: "see you at 6", guid: "ORIGINAL-1", msAgo: 30_000 });
+    rpc = startRpc({ dbPath: fixture.path, home: sandbox.home, stateDir: sandbox.stateDir });
+  });
+
+  after(async () => {
+    await rpc?.stop();
+    await sandbox?.cleanup();
+  });
+
+  it("emits tapbacks as reaction notifications", async () => {
+    await rpc.request("watch.subscribe");
+    await fixture.insertMessage({
+      text: 'Liked "see you at 6"',
+      extra: { associated_message_type: 2001, associated_message_guid: "p:0/ORIGINAL-1" },
+    });
+    await fixture.insertMessage({
+      text: 'Removed a like from "see you at 6"',
+      extra: { associated_message_type: 3001, associated_message_guid: "p:0/ORIGINAL-1" },
+    });
+    const added = await rpc.waitForNotification((n) => n.method === "reaction" && n.params.reaction.action === "added");
+    assert.equal(added.params.reaction.type, "like");
+    assert.equal(added.params.reaction.associated_message_type, 2001);
+    assert.equal(added.params.reaction.target_guid, "ORIGINAL-1");
+    assert.equal(added.params.reaction.part_index, 0);
+    assert.equal(added.params.reaction.sender, ALICE);
+    assert.equal(added.params.reaction.chat_id, DM_CHAT.id);
+    await rpc.waitForNotification((n) => n.method === "reaction" && n.params.reaction.action === "removed");
+    // Tapbacks never show up as messages.
+    const messages = rpc.notifications.filter((n) => n.method === "message").map((n) => n.params.message.text);
+    assert.deepEqual(messages, ["see you at 6"]);
+  });
+
+  it("attaches the original message to inline replies", async () => {
+    await fixture.insertMessage({
+      text: "works for me",
+      extra: { thread_originator_guid: "ORIGINAL-1", thread_originator_part: "0:0:12" },
+    });
+    const reply = await rpc.waitForNotification(messageWithText("works for me"));
+    const { guid, part_index, text, sender, is_from_me, created_at } = reply.params.message.reply_to;
+    assert.deepEqual({ guid, part_index, text, sender, is_from_me }, {
+      guid: "ORIGINAL-1",
+      part_index: 0,
+      text: "see you at 6",
+      sender: ALICE,
+      is_from_me: false,
+    });
+    assert.ok(!Number.isNaN(Date.parse(created_at)));
+  });
+
+  it("keeps the guid of a reply whose original is not on this Mac", async () => {
+    await fixture.insertMessage({
+      text: "replying to something old",
+      extra: { thread_originator_guid: "MISSING-1", thread_originator_part: "1:0:4" },
+    });
+    const reply = await rpc.waitForNotification(messageWithText("replying to something old"));
+    assert.deepEqual(reply.params.message.reply_to, { guid: "MISSING-1", part_index: 1 });
+  });
+
+  it("skips tapbacks when subscribed with reactions: false", async () => {
+    await rpc.request("watch.subscribe", { reactions: false });
+    await fixture.insertMessage({
+      text: 'Loved "see you at 6"',
+      extra: { associated_message_type: 2000, associated_message_guid: "p:0/ORIGINAL-1" },
+    });
+    await fixture.insertMessage({ text: "after the love" });
+    await rpc.waitForNotification(messageWithText("after the love"));
+    const loves = rpc.notifications.filter((n) => n.method === "reaction" && n.params.reaction.type === "love");
+    assert.equal(loves.length, 0);
+  });
+});